@@ -1,57 +1,45 @@
-import Redis from 'ioredis';
+import { parseArgs } from 'node:util';
 import chalk from 'chalk';
 import Table from 'cli-table3';
 import ora from 'ora';
+import { Histogram, timed, formatLatency } from './lib/histogram.js';
+import { loadTargets, createClient, connectClient, createClients, closeClients, paint, paintBg, describeTarget } from './lib/targets.js';
+import { generateValue, createRandom, randomSeed, parseDistribution, formatDistribution, createKeyChooser } from './lib/data.js';
+import { buildRunRecord, writeRunRecord, parseOutputSpec } from './lib/export.js';
+import { saveBaseline, loadBaseline, parseTolerances, compareRuns } from './lib/baseline.js';
+import { describe, mean, welchTest } from './lib/stats.js';
+import { bundledWorkloadFiles, loadWorkloadFile, workloadBenchmark } from './lib/workload.js';
+import { DEFAULT_SAMPLE_INTERVAL, startSampler, snapshotMemory, datasetFootprint, formatBytes } from './lib/metrics.js';
+import { KNEE_MIN_GAIN, parseSweepSpec, sweepPoints, describePoint, summarizeSweep } from './lib/sweep.js';
+import { ERROR_KINDS, ErrorCounter, classifyError, mergeErrorSummaries, describeErrors } from './lib/errors.js';
+import { RECOVERY_RATIO, createChaosPlan, chaosDuration, aggregateChaos } from './lib/chaos.js';
+import { createRunId, runNamespace, namespaced, deleteNamespace, inspectTarget } from './lib/namespace.js';
+import { addPlaintextTwins, measureHandshake, compareTls } from './lib/tls.js';
+import { masters, fanOut, keyGroup, pipeline as createPipeline } from './lib/cluster.js';
+import { SATURATED_UTILIZATION, SATURATED_LAG, createWorkerPlan, describeWorkers, aggregateLoad } from './lib/loadgen.js';
+import { DEFAULT_REPLAY_CLIENTS, loadCapture, createReplayOptions, describeSpeed, aggregateReplay, replayBenchmark } from './lib/replay.js';
 
-// Configuration
-const REDIS_PORT = 6379;
-const DRAGONFLY_PORT = 6380;
-const HOST = 'localhost';
-
-// Generate random string of specified length
-function generateValue(size) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < size; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-// Create multiple client connections
-async function createClients(port, count) {
-  const clients = [];
-  for (let i = 0; i < count; i++) {
-    const client = new Redis({ 
-      host: HOST, 
-      port, 
-      lazyConnect: true
-    });
-    await client.connect();
-    clients.push(client);
-  }
-  return clients;
-}
-
-// Close multiple clients
-async function closeClients(clients) {
-  await Promise.all(clients.map(c => c.disconnect()));
+// Finish a benchmark's spinner; failed commands turn it into a warning
+function finish(spinner, message, errors, ok = true) {
+  if (errors.total > 0) spinner.warn(`${message} — ${errors.total.toLocaleString()} failed (${describeErrors(errors.summary())})`);
+  else if (ok) spinner.succeed(message);
+  else spinner.warn(message);
 }
 
 // ============================================
 // BENCHMARK 1: Concurrent SCAN Operations
 // DragonflyDB handles SCAN in parallel threads
 // ============================================
-async function benchmarkConcurrentScan(port, label, numClients, keysToCreate) {
+async function benchmarkConcurrentScan(target, label, numClients, keysToCreate, seed) {
   const spinner = ora(`${label}: Creating ${keysToCreate.toLocaleString()} keys...`).start();
   
-  const clients = await createClients(port, numClients);
-  const value = generateValue(256);
+  const clients = await createClients(target, numClients);
+  const value = generateValue(256, createRandom(`${seed}:concurrent-scan`));
   
   // Populate data
   const setupClient = clients[0];
   for (let batch = 0; batch < keysToCreate; batch += 5000) {
-    const pipeline = setupClient.pipeline();
+    const pipeline = createPipeline(setupClient);
     for (let i = 0; i < 5000 && batch + i < keysToCreate; i++) {
       pipeline.set(`scan:key:${batch + i}`, value);
     }
@@ -60,18 +48,25 @@ async function benchmarkConcurrentScan(port, label, numClients, keysToCreate) {
   
   spinner.text = `${label}: Running concurrent SCAN operations...`;
   
+  const histogram = new Histogram();
+  const errors = new ErrorCounter();
   const start = performance.now();
   
-  // Multiple clients scanning simultaneously
+  // Multiple clients scanning simultaneously; on a cluster one scan walks every master
   const promises = clients.map(async (client) => {
     let totalKeys = 0;
     for (let round = 0; round < 10; round++) {
-      let cursor = '0';
-      do {
-        const [newCursor, keys] = await client.scan(cursor, 'MATCH', 'scan:*', 'COUNT', 500);
-        cursor = newCursor;
-        totalKeys += keys.length;
-      } while (cursor !== '0');
+      scan: for (const node of masters(client)) {
+        let cursor = '0';
+        do {
+          const reply = await timed(histogram, () => node.scan(cursor, 'MATCH', namespaced(target, 'scan:*'), 'COUNT', 500), errors);
+          // A failed SCAN abandons the round; the cursor can't be trusted
+          if (!reply) break scan;
+          const [newCursor, keys] = reply;
+          cursor = newCursor;
+          totalKeys += keys.length;
+        } while (cursor !== '0');
+      }
     }
     return totalKeys;
   });
@@ -84,25 +79,29 @@ async function benchmarkConcurrentScan(port, label, numClients, keysToCreate) {
   
   await closeClients(clients);
   
-  spinner.succeed(`${label}: ${numClients * 10} scans in ${(duration/1000).toFixed(2)}s (${scansPerSecond} scans/sec)`);
+  const latency = histogram.summary();
+  finish(spinner, `${label}: ${numClients * 10} scans in ${(duration/1000).toFixed(2)}s (${scansPerSecond} scans/sec, p99 ${formatLatency(latency.p99)})`, errors);
   
-  return { duration, opsPerSecond: scansPerSecond, totalOps: numClients * 10 };
+  return { duration, opsPerSecond: scansPerSecond, totalOps: numClients * 10, latency, histogram, errors: errors.summary() };
 }
 
 // ============================================
 // BENCHMARK 2: KEYS Pattern Matching
 // Heavy pattern matching operations
 // ============================================
-async function benchmarkKeysPattern(port, label, numClients, iterations) {
+async function benchmarkKeysPattern(target, label, numClients, iterations) {
   const spinner = ora(`${label}: Running KEYS pattern matching...`).start();
   
-  const clients = await createClients(port, numClients);
+  const clients = await createClients(target, numClients);
   
+  const histogram = new Histogram();
+  const errors = new ErrorCounter();
   const start = performance.now();
   
+  const pattern = namespaced(target, 'scan:key:*');
   const promises = clients.map(async (client) => {
     for (let i = 0; i < iterations; i++) {
-      await client.keys('scan:key:*');
+      await timed(histogram, () => fanOut(client, node => node.keys(pattern)), errors);
     }
   });
   
@@ -115,26 +114,29 @@ async function benchmarkKeysPattern(port, label, numClients, iterations) {
   
   await closeClients(clients);
   
-  spinner.succeed(`${label}: ${totalOps} KEYS ops in ${(duration/1000).toFixed(2)}s (${opsPerSecond} ops/sec)`);
+  const latency = histogram.summary();
+  finish(spinner, `${label}: ${totalOps} KEYS ops in ${(duration/1000).toFixed(2)}s (${opsPerSecond} ops/sec, p99 ${formatLatency(latency.p99)})`, errors);
   
-  return { duration, opsPerSecond, totalOps };
+  return { duration, opsPerSecond, totalOps, latency, histogram, errors: errors.summary() };
 }
 
 // ============================================
 // BENCHMARK 3: Memory Info Operations
 // Admin commands under load
 // ============================================
-async function benchmarkMemoryInfo(port, label, numClients, iterations) {
+async function benchmarkMemoryInfo(target, label, numClients, iterations) {
   const spinner = ora(`${label}: Running memory info commands...`).start();
   
-  const clients = await createClients(port, numClients);
+  const clients = await createClients(target, numClients);
   
+  const histogram = new Histogram();
+  const errors = new ErrorCounter();
   const start = performance.now();
   
   const promises = clients.map(async (client) => {
     for (let i = 0; i < iterations; i++) {
-      await client.info('memory');
-      await client.dbsize();
+      await timed(histogram, () => fanOut(client, node => node.info('memory')), errors);
+      await timed(histogram, () => fanOut(client, node => node.dbsize()), errors);
     }
   });
   
@@ -147,39 +149,43 @@ async function benchmarkMemoryInfo(port, label, numClients, iterations) {
   
   await closeClients(clients);
   
-  spinner.succeed(`${label}: ${totalOps} info ops in ${(duration/1000).toFixed(2)}s (${opsPerSecond} ops/sec)`);
+  const latency = histogram.summary();
+  finish(spinner, `${label}: ${totalOps} info ops in ${(duration/1000).toFixed(2)}s (${opsPerSecond} ops/sec, p99 ${formatLatency(latency.p99)})`, errors);
   
-  return { duration, opsPerSecond, totalOps };
+  return { duration, opsPerSecond, totalOps, latency, histogram, errors: errors.summary() };
 }
 
 // ============================================
 // BENCHMARK 4: Large Batch MSET/MGET
 // Bulk operations with many keys at once
 // ============================================
-async function benchmarkBulkOperations(port, label, batchSize, iterations) {
+async function benchmarkBulkOperations(target, label, batchSize, iterations, valueSize, seed) {
   const spinner = ora(`${label}: Running bulk MSET/MGET operations...`).start();
   
-  const client = new Redis({ host: HOST, port, lazyConnect: true });
-  await client.connect();
+  const client = createClient(target);
+  await connectClient(client);
   
-  const value = generateValue(1024);
+  const value = generateValue(valueSize, createRandom(`${seed}:bulk-mset-mget`));
   
+  const histogram = new Histogram();
+  const errors = new ErrorCounter();
   const start = performance.now();
   
+  // Each batch shares a {hash tag}, so a cluster can serve it from one slot
   for (let iter = 0; iter < iterations; iter++) {
     // Build MSET arguments
     const msetArgs = [];
     for (let i = 0; i < batchSize; i++) {
-      msetArgs.push(`bulk:${iter}:${i}`, value);
+      msetArgs.push(`bulk:{${iter}}:${i}`, value);
     }
-    await client.mset(...msetArgs);
+    await timed(histogram, () => client.mset(...msetArgs), errors);
     
     // Build MGET arguments
     const mgetArgs = [];
     for (let i = 0; i < batchSize; i++) {
-      mgetArgs.push(`bulk:${iter}:${i}`);
+      mgetArgs.push(`bulk:{${iter}}:${i}`);
     }
-    await client.mget(...mgetArgs);
+    await timed(histogram, () => client.mget(...mgetArgs), errors);
   }
   
   const end = performance.now();
@@ -189,40 +195,44 @@ async function benchmarkBulkOperations(port, label, batchSize, iterations) {
   
   await client.disconnect();
   
-  spinner.succeed(`${label}: ${totalOps.toLocaleString()} bulk ops in ${(duration/1000).toFixed(2)}s (${opsPerSecond.toLocaleString()} ops/sec)`);
+  const latency = histogram.summary();
+  finish(spinner, `${label}: ${totalOps.toLocaleString()} bulk ops in ${(duration/1000).toFixed(2)}s (${opsPerSecond.toLocaleString()} ops/sec, p99 ${formatLatency(latency.p99)})`, errors);
   
-  return { duration, opsPerSecond, totalOps };
+  return { duration, opsPerSecond, totalOps, latency, histogram, errors: errors.summary() };
 }
 
 // ============================================
 // BENCHMARK 5: Sorted Set Range Queries
 // Complex queries on large sorted sets
 // ============================================
-async function benchmarkSortedSetQueries(port, label, setSize, numClients, queriesPerClient) {
+async function benchmarkSortedSetQueries(target, label, setSize, numClients, queriesPerClient, seed) {
   const spinner = ora(`${label}: Creating sorted set with ${setSize.toLocaleString()} members...`).start();
   
-  const clients = await createClients(port, numClients);
+  const clients = await createClients(target, numClients);
   const setupClient = clients[0];
+  const random = createRandom(`${seed}:sorted-set-queries`);
   
   // Create large sorted set
   for (let batch = 0; batch < setSize; batch += 5000) {
     const pipeline = setupClient.pipeline();
     for (let i = 0; i < 5000 && batch + i < setSize; i++) {
-      pipeline.zadd('leaderboard:main', Math.random() * 1000000, `player:${batch + i}`);
+      pipeline.zadd('leaderboard:main', random() * 1000000, `player:${batch + i}`);
     }
     await pipeline.exec();
   }
   
   spinner.text = `${label}: Running range queries...`;
   
+  const histogram = new Histogram();
+  const errors = new ErrorCounter();
   const start = performance.now();
   
   const promises = clients.map(async (client) => {
     for (let i = 0; i < queriesPerClient; i++) {
       // Various range query types
-      await client.zrevrange('leaderboard:main', 0, 99, 'WITHSCORES');
-      await client.zrangebyscore('leaderboard:main', 0, 500000, 'WITHSCORES', 'LIMIT', 0, 100);
-      await client.zcount('leaderboard:main', 0, 500000);
+      await timed(histogram, () => client.zrevrange('leaderboard:main', 0, 99, 'WITHSCORES'), errors);
+      await timed(histogram, () => client.zrangebyscore('leaderboard:main', 0, 500000, 'WITHSCORES', 'LIMIT', 0, 100), errors);
+      await timed(histogram, () => client.zcount('leaderboard:main', 0, 500000), errors);
     }
   });
   
@@ -235,30 +245,37 @@ async function benchmarkSortedSetQueries(port, label, setSize, numClients, queri
   
   await closeClients(clients);
   
-  spinner.succeed(`${label}: ${totalOps.toLocaleString()} queries in ${(duration/1000).toFixed(2)}s (${opsPerSecond.toLocaleString()} ops/sec)`);
+  const latency = histogram.summary();
+  finish(spinner, `${label}: ${totalOps.toLocaleString()} queries in ${(duration/1000).toFixed(2)}s (${opsPerSecond.toLocaleString()} ops/sec, p99 ${formatLatency(latency.p99)})`, errors);
   
-  return { duration, opsPerSecond, totalOps };
+  return { duration, opsPerSecond, totalOps, latency, histogram, errors: errors.summary() };
 }
 
 // ============================================
 // BENCHMARK 6: Pipelined Mixed Workload
 // Real-world application pattern
+// Keys are drawn from a fixed keyspace by `distribution`, so hot keys get reused
 // ============================================
-async function benchmarkPipelinedMixed(port, label, numClients, pipelinesPerClient) {
+async function benchmarkPipelinedMixed(target, label, numClients, pipelinesPerClient, keyspace, distribution, seed) {
   const spinner = ora(`${label}: Running pipelined mixed workload...`).start();
   
-  const clients = await createClients(port, numClients);
-  const value = generateValue(512);
+  const clients = await createClients(target, numClients);
+  const value = generateValue(512, createRandom(`${seed}:pipelined-mixed:value`));
+  const choosers = clients.map((_, clientIdx) => createKeyChooser(
+    distribution, keyspace, createRandom(`${seed}:pipelined-mixed:client:${clientIdx}`), clientIdx, numClients
+  ));
   
+  const histogram = new Histogram();
+  const errors = new ErrorCounter();
   const start = performance.now();
   
   const promises = clients.map(async (client, clientIdx) => {
     for (let p = 0; p < pipelinesPerClient; p++) {
-      const pipeline = client.pipeline();
+      const pipeline = createPipeline(client);
       
       // Mix of operations in each pipeline
       for (let i = 0; i < 50; i++) {
-        const key = `mixed:${clientIdx}:${p}:${i}`;
+        const key = `mixed:${choosers[clientIdx].next()}`;
         pipeline.set(key, value);
         pipeline.get(key);
         pipeline.incr(`counter:${clientIdx}`);
@@ -266,7 +283,7 @@ async function benchmarkPipelinedMixed(port, label, numClients, pipelinesPerClie
         pipeline.hset(`hash:${clientIdx}`, `field-${i}`, value);
       }
       
-      await pipeline.exec();
+      errors.recordReplies(await timed(histogram, () => pipeline.exec(), errors));
     }
   });
   
@@ -279,24 +296,403 @@ async function benchmarkPipelinedMixed(port, label, numClients, pipelinesPerClie
   
   await closeClients(clients);
   
-  spinner.succeed(`${label}: ${totalOps.toLocaleString()} ops in ${(duration/1000).toFixed(2)}s (${opsPerSecond.toLocaleString()} ops/sec)`);
+  const latency = histogram.summary();
+  finish(spinner, `${label}: ${totalOps.toLocaleString()} ops in ${(duration/1000).toFixed(2)}s (${opsPerSecond.toLocaleString()} ops/sec, p99 ${formatLatency(latency.p99)})`, errors);
+  
+  return { duration, opsPerSecond, totalOps, latency, histogram, errors: errors.summary() };
+}
+
+// ============================================
+// BENCHMARK 7: Pub/Sub Fan-out
+// Cache-invalidation style broadcast: many subscribers across channels,
+// plus PSUBSCRIBE listeners that see every channel
+// ============================================
+const PUBSUB_PREFIX = 'pubsub';
+const PUBSUB_DRAIN_TIMEOUT = 2000;
+
+async function benchmarkPubSubFanout(target, label, subscribers, patternSubscribers, channels, messages, rate, payloadSize, seed) {
+  const spinner = ora(`${label}: Subscribing ${(subscribers + patternSubscribers).toLocaleString()} connections...`).start();
+  
+  // Channels aren't keys, so the client's key prefix doesn't cover them
+  const channelName = idx => namespaced(target, `${PUBSUB_PREFIX}:${idx}`);
+  const subscriberClients = await createClients(target, subscribers + patternSubscribers);
+  const [publisher] = await createClients(target, 1);
+  const padding = generateValue(payloadSize, createRandom(`${seed}:pubsub-fanout`));
+  
+  const histogram = new Histogram();
+  const errors = new ErrorCounter();
+  let delivered = 0;
+  const onMessage = message => {
+    histogram.record(performance.now() - Number(message.slice(0, message.indexOf(':'))));
+    delivered++;
+  };
+  
+  // Channel subscribers are spread round-robin; pattern subscribers match every channel
+  const perChannel = new Array(channels).fill(0);
+  await Promise.all(subscriberClients.map(async (client, idx) => {
+    if (idx < subscribers) {
+      perChannel[idx % channels]++;
+      client.on('message', (channel, message) => onMessage(message));
+      await client.subscribe(channelName(idx % channels));
+    } else {
+      client.on('pmessage', (pattern, channel, message) => onMessage(message));
+      await client.psubscribe(namespaced(target, `${PUBSUB_PREFIX}:*`));
+    }
+  }));
+  
+  spinner.text = `${label}: Publishing ${messages.toLocaleString()} messages at ${rate.toLocaleString()}/sec...`;
+  
+  const interval = 1000 / rate;
+  const publishes = [];
+  let expected = 0;
+  const start = performance.now();
+  
+  for (let i = 0; i < messages; i++) {
+    const intended = start + i * interval;
+    const ahead = intended - performance.now();
+    if (ahead > 1) {
+      await new Promise(resolve => setTimeout(resolve, ahead));
+    }
+    const channel = i % channels;
+    expected += perChannel[channel] + patternSubscribers;
+    publishes.push(publisher.publish(channelName(channel), `${performance.now()}:${padding}`).catch(error => errors.record(error)));
+  }
+  await Promise.all(publishes);
+  
+  // Give in-flight deliveries a moment before counting the rest as lost
+  const drainDeadline = performance.now() + PUBSUB_DRAIN_TIMEOUT;
+  while (delivered < expected && performance.now() < drainDeadline) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
   
-  return { duration, opsPerSecond, totalOps };
+  const end = performance.now();
+  const duration = end - start;
+  const lost = Math.max(0, expected - delivered);
+  const opsPerSecond = Math.round((delivered / duration) * 1000);
+  
+  await closeClients([...subscriberClients, publisher]);
+  
+  const latency = histogram.summary();
+  const message = `${label}: ${delivered.toLocaleString()}/${expected.toLocaleString()} deliveries in ${(duration/1000).toFixed(2)}s (${opsPerSecond.toLocaleString()} msgs/sec, p99 ${formatLatency(latency.p99)}, ${lost.toLocaleString()} lost)`;
+  finish(spinner, message, errors, lost === 0);
+  
+  return {
+    duration,
+    opsPerSecond,
+    totalOps: delivered,
+    latency,
+    histogram,
+    errors: errors.summary(),
+    delivery: { published: messages, expected, delivered, lost }
+  };
 }
 
-// Clean up all benchmark data
-async function cleanup(client) {
-  const patterns = ['scan:*', 'bulk:*', 'leaderboard:*', 'mixed:*', 'counter:*', 'list:*', 'hash:*'];
-  for (const pattern of patterns) {
-    let cursor = '0';
-    do {
-      const [newCursor, keys] = await client.scan(cursor, 'MATCH', pattern, 'COUNT', 1000);
-      cursor = newCursor;
-      if (keys.length > 0) {
-        await client.del(...keys);
+// ============================================
+// BENCHMARK 8: Streams & Consumer Groups
+// Job-queue pattern: producers XADD while a consumer group XREADGROUPs and
+// XACKs. Beforehand one consumer takes a batch and dies; its entries must
+// stay pending until XCLAIM hands them to someone else.
+// ============================================
+const STREAM_KEY = 'stream:jobs';
+const STREAM_GROUP = 'workers';
+const DEAD_CONSUMER = 'dead-consumer';
+const DEAD_CONSUMER_BATCH = 50;
+const DEAD_CONSUMER_IDLE = 100;
+const STREAM_BLOCK = 100;
+const PENDING_SAMPLE_INTERVAL = 50;
+// A consumer whose read failed waits this long (ms) before reading again
+const READ_RETRY_INTERVAL = 50;
+
+async function benchmarkStreams(target, label, producers, consumers, entriesPerProducer, batchSize, payloadSize, seed) {
+  const spinner = ora(`${label}: Running ${producers} producers and ${consumers} consumers...`).start();
+  
+  const clients = await createClients(target, producers + consumers + 2);
+  const producerClients = clients.slice(0, producers);
+  const consumerClients = clients.slice(producers, producers + consumers);
+  const [deadClient, monitor] = clients.slice(producers + consumers);
+  const payload = generateValue(payloadSize, createRandom(`${seed}:streams`));
+  
+  await monitor.del(STREAM_KEY);
+  // XGROUP's key is the one stream argument ioredis doesn't prefix
+  await monitor.xgroup('CREATE', namespaced(target, STREAM_KEY), STREAM_GROUP, '$', 'MKSTREAM');
+  
+  const histogram = new Histogram();
+  const errors = new ErrorCounter();
+  let consumed = 0;
+  let lastAck = 0;
+  let producing = true;
+  let peakPending = 0;
+  const readGroup = (client, consumer, count) => client.xreadgroup(
+    'GROUP', STREAM_GROUP, consumer, 'COUNT', count, 'BLOCK', STREAM_BLOCK, 'STREAMS', STREAM_KEY, '>'
+  );
+  
+  // The dead consumer takes one batch, never acknowledges it, and disconnects
+  const seedBatch = monitor.pipeline();
+  for (let i = 0; i < DEAD_CONSUMER_BATCH; i++) {
+    seedBatch.xadd(STREAM_KEY, '*', 'ts', String(performance.now()), 'payload', payload);
+  }
+  await seedBatch.exec();
+  const deadReply = await readGroup(deadClient, DEAD_CONSUMER, DEAD_CONSUMER_BATCH);
+  const deadEntries = deadReply ? deadReply[0][1].length : 0;
+  deadClient.disconnect();
+  
+  const start = performance.now();
+  
+  const producerTasks = producerClients.map(async (client) => {
+    for (let i = 0; i < entriesPerProducer; i++) {
+      await client.xadd(STREAM_KEY, '*', 'ts', String(performance.now()), 'payload', payload).catch(error => errors.record(error));
+    }
+  });
+  
+  // Lag is measured from XADD to the moment a worker reads the entry
+  const consumerTasks = consumerClients.map(async (client, idx) => {
+    for (;;) {
+      let reply;
+      try {
+        reply = await readGroup(client, `worker-${idx}`, batchSize);
+      } catch (error) {
+        errors.record(error);
+        // A missing group (e.g. wiped by a restart) or a refused login won't fix itself
+        if (!producing || /^NOGROUP/.test(error.message) || classifyError(error) === 'auth') break;
+        await new Promise(resolve => setTimeout(resolve, READ_RETRY_INTERVAL));
+        continue;
       }
-    } while (cursor !== '0');
+      if (!reply) {
+        if (!producing) break;
+        continue;
+      }
+      const entries = reply[0][1];
+      const now = performance.now();
+      for (const [, fields] of entries) {
+        histogram.record(now - Number(fields[fields.indexOf('ts') + 1]));
+      }
+      await client.xack(STREAM_KEY, STREAM_GROUP, ...entries.map(([id]) => id)).catch(error => errors.record(error));
+      consumed += entries.length;
+      lastAck = performance.now();
+    }
+  });
+  
+  let consuming = true;
+  const pendingMonitor = (async () => {
+    while (consuming) {
+      const reply = await monitor.xpending(STREAM_KEY, STREAM_GROUP).catch(() => null);
+      if (reply) peakPending = Math.max(peakPending, reply[0]);
+      await new Promise(resolve => setTimeout(resolve, PENDING_SAMPLE_INTERVAL));
+    }
+  })();
+  
+  await Promise.all(producerTasks);
+  const produceDuration = performance.now() - start;
+  producing = false;
+  await Promise.all(consumerTasks);
+  consuming = false;
+  await pendingMonitor;
+  
+  spinner.text = `${label}: Recovering the dead consumer's entries...`;
+  
+  // The dead consumer's entries should be pending under its name, claimable once idle
+  await new Promise(resolve => setTimeout(resolve, DEAD_CONSUMER_IDLE));
+  const [leftPending] = await monitor.xpending(STREAM_KEY, STREAM_GROUP);
+  const stuck = await monitor.xpending(STREAM_KEY, STREAM_GROUP, '-', '+', Math.max(deadEntries, 1), DEAD_CONSUMER);
+  const claimed = stuck.length > 0
+    ? await monitor.xclaim(STREAM_KEY, STREAM_GROUP, 'rescuer', DEAD_CONSUMER_IDLE, ...stuck.map(([id]) => id))
+    : [];
+  if (claimed.length > 0) {
+    await monitor.xack(STREAM_KEY, STREAM_GROUP, ...claimed.map(([id]) => id));
   }
+  const [remainingPending] = await monitor.xpending(STREAM_KEY, STREAM_GROUP);
+  
+  const produced = producers * entriesPerProducer;
+  // Workers only notice the stream is drained after an empty BLOCK; don't count that wait
+  const duration = Math.max(lastAck, start + produceDuration) - start;
+  const opsPerSecond = Math.round((consumed / duration) * 1000);
+  const recovery = {
+    deadEntries,
+    pending: stuck.length,
+    claimed: claimed.length,
+    remainingPending,
+    ok: deadEntries === DEAD_CONSUMER_BATCH && stuck.length === deadEntries && claimed.length === deadEntries && remainingPending === 0
+  };
+  
+  await closeClients([...producerClients, ...consumerClients, monitor]);
+  
+  const latency = histogram.summary();
+  const message = `${label}: ${consumed.toLocaleString()}/${produced.toLocaleString()} entries consumed in ${(duration/1000).toFixed(2)}s (${opsPerSecond.toLocaleString()} entries/sec, lag p99 ${formatLatency(latency.p99)}, XCLAIM ${recovery.claimed}/${deadEntries})`;
+  finish(spinner, message, errors, recovery.ok);
+  
+  return {
+    duration,
+    opsPerSecond,
+    totalOps: consumed,
+    latency,
+    histogram,
+    errors: errors.summary(),
+    streams: {
+      produceRate: Math.round((produced / produceDuration) * 1000),
+      consumeRate: opsPerSecond,
+      peakPending,
+      leftPending,
+      recovery
+    }
+  };
+}
+
+// ============================================
+// BENCHMARK 9: MULTI/EXEC Transactions
+// Multi-key atomic blocks; Redis runs them on its one thread, Dragonfly has
+// to coordinate the shards that own the keys
+// ============================================
+async function benchmarkTransactions(target, label, numClients, txPerClient, keysPerTx, keyspace, seed) {
+  const spinner = ora(`${label}: Running MULTI/EXEC over ${keysPerTx} keys...`).start();
+  
+  const clients = await createClients(target, numClients);
+  const value = generateValue(128, createRandom(`${seed}:transactions:value`));
+  
+  const histogram = new Histogram();
+  const errors = new ErrorCounter();
+  const start = performance.now();
+  
+  const promises = clients.map(async (client, clientIdx) => {
+    const random = createRandom(`${seed}:transactions:client:${clientIdx}`);
+    for (let i = 0; i < txPerClient; i++) {
+      const keys = keyGroup(random, 'tx', keyspace, keysPerTx);
+      const tx = client.multi();
+      keys.forEach((key, idx) => {
+        // Alternate writes and counters so the block both reads and writes
+        if (idx % 2 === 0) tx.set(key, value);
+        else tx.incr(`${key}:count`);
+      });
+      errors.recordReplies(await timed(histogram, () => tx.exec(), errors));
+    }
+  });
+  
+  await Promise.all(promises);
+  
+  const end = performance.now();
+  const duration = end - start;
+  const totalOps = numClients * txPerClient;
+  const opsPerSecond = Math.round((totalOps / duration) * 1000);
+  
+  await closeClients(clients);
+  
+  const latency = histogram.summary();
+  finish(spinner, `${label}: ${totalOps.toLocaleString()} transactions in ${(duration/1000).toFixed(2)}s (${opsPerSecond.toLocaleString()} tx/sec, p99 ${formatLatency(latency.p99)})`, errors);
+  
+  return { duration, opsPerSecond, totalOps, latency, histogram, errors: errors.summary() };
+}
+
+// ============================================
+// BENCHMARK 10: WATCH Optimistic Locking
+// Many clients read-modify-write a few hot counters; EXEC fails whenever
+// another client changed a watched key first, and the update is retried
+// ============================================
+const MAX_WATCH_RETRIES = 20;
+
+async function benchmarkWatchContention(target, label, numClients, updatesPerClient, hotKeys, seed) {
+  const spinner = ora(`${label}: Contending on ${hotKeys} watched keys...`).start();
+  
+  const clients = await createClients(target, numClients);
+  const keys = Array.from({ length: hotKeys }, (_, idx) => `watch:${idx}`);
+  // One key per command: the hot keys may live on different cluster nodes
+  await Promise.all(keys.map(key => clients[0].del(key)));
+  
+  const histogram = new Histogram();
+  const errors = new ErrorCounter();
+  let committed = 0;
+  let attempts = 0;
+  let retries = 0;
+  let aborts = 0;
+  const start = performance.now();
+  
+  const promises = clients.map(async (client, clientIdx) => {
+    const random = createRandom(`${seed}:watch-contention:client:${clientIdx}`);
+    for (let i = 0; i < updatesPerClient; i++) {
+      const key = keys[Math.floor(random() * hotKeys)];
+      
+      // One update = every attempt until EXEC succeeds or we give up
+      const ok = await timed(histogram, async () => {
+        for (let attempt = 0; attempt <= MAX_WATCH_RETRIES; attempt++) {
+          attempts++;
+          if (attempt > 0) retries++;
+          await client.watch(key);
+          const current = Number(await client.get(key) || 0);
+          const result = await client.multi().set(key, current + 1).exec();
+          if (result !== null) return true;
+        }
+        return false;
+      }, errors);
+      // undefined: the update failed outright and was counted as an error
+      if (ok) committed++;
+      else if (ok === false) aborts++;
+    }
+  });
+  
+  await Promise.all(promises);
+  
+  const end = performance.now();
+  const duration = end - start;
+  const opsPerSecond = Math.round((committed / duration) * 1000);
+  
+  // Every committed increment must be in the counters, or isolation is broken
+  const values = await Promise.all(keys.map(key => clients[0].get(key)));
+  const total = values.reduce((sum, v) => sum + Number(v || 0), 0);
+  
+  await closeClients(clients);
+  
+  const latency = histogram.summary();
+  const updates = numClients * updatesPerClient;
+  const locking = { updates, committed, attempts, retries, aborts, lostUpdates: committed - total };
+  const message = `${label}: ${committed.toLocaleString()} committed updates in ${(duration/1000).toFixed(2)}s (${opsPerSecond.toLocaleString()} updates/sec, ${retries.toLocaleString()} retries, ${aborts} aborts, p99 ${formatLatency(latency.p99)})`;
+  if (locking.lostUpdates !== 0) finish(spinner, `${message} — ${locking.lostUpdates} lost updates!`, errors, false);
+  else finish(spinner, message, errors);
+  
+  return { duration, opsPerSecond, totalOps: committed, latency, histogram, errors: errors.summary(), locking };
+}
+
+// ============================================
+// BENCHMARK 11: EVALSHA Multi-key Scripts
+// A cached Lua script that updates several keys atomically
+// ============================================
+const MULTI_KEY_SCRIPT = `
+local total = 0
+for _, key in ipairs(KEYS) do
+  total = total + redis.call('INCRBY', key, ARGV[1])
+end
+return total
+`;
+
+async function benchmarkEvalsha(target, label, numClients, callsPerClient, keysPerCall, keyspace, seed) {
+  const spinner = ora(`${label}: Running EVALSHA over ${keysPerCall} keys...`).start();
+  
+  const clients = await createClients(target, numClients);
+  // Every master of a cluster needs the script
+  const [sha] = await fanOut(clients[0], node => node.script('LOAD', MULTI_KEY_SCRIPT));
+  
+  const histogram = new Histogram();
+  const errors = new ErrorCounter();
+  const start = performance.now();
+  
+  const promises = clients.map(async (client, clientIdx) => {
+    const random = createRandom(`${seed}:evalsha:client:${clientIdx}`);
+    for (let i = 0; i < callsPerClient; i++) {
+      const keys = keyGroup(random, 'lua', keyspace, keysPerCall);
+      await timed(histogram, () => client.evalsha(sha, keys.length, ...keys, 1), errors);
+    }
+  });
+  
+  await Promise.all(promises);
+  
+  const end = performance.now();
+  const duration = end - start;
+  const totalOps = numClients * callsPerClient;
+  const opsPerSecond = Math.round((totalOps / duration) * 1000);
+  
+  await closeClients(clients);
+  
+  const latency = histogram.summary();
+  finish(spinner, `${label}: ${totalOps.toLocaleString()} script calls in ${(duration/1000).toFixed(2)}s (${opsPerSecond.toLocaleString()} calls/sec, p99 ${formatLatency(latency.p99)})`, errors);
+  
+  return { duration, opsPerSecond, totalOps, latency, histogram, errors: errors.summary() };
 }
 
 // Print styled header
@@ -326,8 +722,54 @@ function printArchitecture() {
   console.log('');
 }
 
+// Table label for a benchmark entry
+function displayName(entry) {
+  return `${entry.name}\n(${entry.detail})`;
+}
+
+// Rank targets by throughput for one benchmark, fastest first
+function rankTargets(targets, data) {
+  return [...targets].sort((a, b) => data[b.name].opsPerSecond - data[a.name].opsPerSecond);
+}
+
+// Only call a winner when the fastest target beats the runner-up significantly
+function judge(targets, data, confidence) {
+  const [winner, runnerUp] = rankTargets(targets, data);
+  if (!runnerUp) {
+    return { winner: winner.name, runnerUp: null, ratio: 1, pValue: NaN, significant: false };
+  }
+  const ratio = data[winner.name].opsPerSecond / data[runnerUp.name].opsPerSecond;
+  const { p } = welchTest(data[winner.name].throughput.samples, data[runnerUp.name].throughput.samples);
+  return { winner: winner.name, runnerUp: runnerUp.name, ratio, pValue: p, significant: p < 1 - confidence };
+}
+
+// "±x%" half-width of a target's throughput confidence interval
+function formatSpread(throughput) {
+  if (throughput.trials < 2 || throughput.mean === 0) return '';
+  const halfWidth = (throughput.ci[1] - throughput.ci[0]) / 2;
+  return ` ±${((halfWidth / throughput.mean) * 100).toFixed(1)}%`;
+}
+
+// Winner / difference cells for a verdict
+function formatVerdict(targets, verdict) {
+  const winner = targets.find(t => t.name === verdict.winner);
+  if (!verdict.runnerUp) {
+    return [paint(winner).bold(winner.label), chalk.gray('-')];
+  }
+  if (Number.isNaN(verdict.pValue)) {
+    return [chalk.gray('Inconclusive'), chalk.gray('needs ≥2 trials')];
+  }
+  if (!verdict.significant) {
+    return [chalk.gray('No significant difference'), chalk.gray(`p=${verdict.pValue.toFixed(2)}`)];
+  }
+  return [
+    paint(winner).bold(winner.label),
+    chalk.green.bold(`${verdict.ratio.toFixed(1)}x faster`) + chalk.gray(` p=${verdict.pValue < 0.001 ? '<0.001' : verdict.pValue.toFixed(3)}`)
+  ];
+}
+
 // Print comparison table
-function printComparisonTable(results) {
+function printComparisonTable(targets, benchmarks) {
   console.log('\n');
   console.log(chalk.yellow.bold('📊 BENCHMARK RESULTS'));
   console.log(chalk.gray('━'.repeat(100)));
@@ -335,12 +777,11 @@ function printComparisonTable(results) {
   const table = new Table({
     head: [
       chalk.cyan.bold('Benchmark'),
-      chalk.blue.bold('Redis'),
-      chalk.magenta.bold('DragonflyDB'),
+      ...targets.map(t => paint(t).bold(t.label)),
       chalk.green.bold('Winner'),
       chalk.yellow.bold('Difference')
     ],
-    colWidths: [32, 16, 16, 16, 18],
+    colWidths: [32, ...targets.map(() => 18), 20, 18],
     style: {
       head: [],
       border: ['gray']
@@ -348,224 +789,1579 @@ function printComparisonTable(results) {
     wordWrap: true
   });
 
-  let dragonflyWins = 0;
-  let redisWins = 0;
-  let dragonflySpeedups = [];
-
-  for (const [operation, data] of Object.entries(results)) {
-    const redisOps = data.redis.opsPerSecond;
-    const dragonflyOps = data.dragonfly.opsPerSecond;
-    const isDragonflyWinner = dragonflyOps > redisOps;
-    const winner = isDragonflyWinner ? '🐉 DragonflyDB' : '🔴 Redis';
-    const ratio = isDragonflyWinner ? dragonflyOps / redisOps : redisOps / dragonflyOps;
-    const diffText = isDragonflyWinner 
-      ? chalk.green.bold(`${ratio.toFixed(1)}x faster`)
-      : chalk.blue(`${ratio.toFixed(1)}x faster`);
+  const wins = Object.fromEntries(targets.map(t => [t.name, 0]));
+  const speedups = Object.fromEntries(targets.map(t => [t.name, []]));
+
+  let undecided = 0;
+
+  for (const entry of benchmarks) {
+    const data = entry.results;
+    const { verdict } = entry;
     
-    if (isDragonflyWinner) {
-      dragonflyWins++;
-      dragonflySpeedups.push(ratio);
+    if (verdict.significant || !verdict.runnerUp) {
+      wins[verdict.winner]++;
+      speedups[verdict.winner].push(verdict.ratio);
     } else {
-      redisWins++;
+      undecided++;
     }
     
-    const winnerColor = isDragonflyWinner ? chalk.magenta.bold : chalk.blue;
-    
     table.push([
-      chalk.white(operation),
-      chalk.blue(redisOps.toLocaleString()),
-      chalk.magenta(dragonflyOps.toLocaleString()),
-      winnerColor(winner),
-      diffText
+      chalk.white(displayName(entry)),
+      ...targets.map(t => paint(t)(data[t.name].opsPerSecond.toLocaleString()) + chalk.gray(formatSpread(data[t.name].throughput))),
+      ...formatVerdict(targets, verdict)
     ]);
   }
 
   console.log(table.toString());
   
-  return { dragonflyWins, redisWins, dragonflySpeedups, totalTests: Object.keys(results).length };
+  printTrialStats(targets, benchmarks);
+  printLatencyTable(targets, benchmarks);
+  printOpenLoopTable(targets, benchmarks);
+  printReplayTable(targets, benchmarks);
+  printDeliveryTable(targets, benchmarks);
+  printStreamsTable(targets, benchmarks);
+  printLockingTable(targets, benchmarks);
+  printErrorTable(targets, benchmarks);
+  printChaosTable(targets, benchmarks);
+  printServerMetrics(targets, benchmarks);
+  printLoadGeneratorTable(targets, benchmarks);
+  
+  return { wins, speedups, undecided, totalTests: benchmarks.length };
 }
 
-// Print visual bars
-function printBarChart(results) {
+// Print mean, stddev and confidence interval of throughput across trials
+function printTrialStats(targets, benchmarks) {
+  const { trials, confidence } = benchmarks[0].results[targets[0].name].throughput;
+  if (trials < 2) return;
+  
   console.log('\n');
-  console.log(chalk.yellow.bold('📈 VISUAL COMPARISON'));
+  console.log(chalk.yellow.bold(`🎲 TRIAL STATISTICS (${trials} trials, ${Math.round(confidence * 100)}% confidence)`));
   console.log(chalk.gray('━'.repeat(100)));
   
-  const maxOps = Math.max(
-    ...Object.values(results).map(r => Math.max(r.redis.opsPerSecond, r.dragonfly.opsPerSecond))
-  );
+  const table = new Table({
+    head: [
+      chalk.cyan.bold('Benchmark'),
+      chalk.cyan.bold('Target'),
+      chalk.cyan.bold('Mean ops/sec'),
+      chalk.cyan.bold('Stddev'),
+      chalk.cyan.bold('Confidence interval')
+    ],
+    colWidths: [32, 14, 16, 14, 26],
+    style: {
+      head: [],
+      border: ['gray']
+    },
+    wordWrap: true
+  });
   
-  for (const [operation, data] of Object.entries(results)) {
-    const redisOps = data.redis.opsPerSecond;
-    const dragonflyOps = data.dragonfly.opsPerSecond;
-    const isDragonflyWinner = dragonflyOps > redisOps;
-    
-    console.log(chalk.white.bold(`\n  ${operation}`));
-    
-    const scale = 60;
-    const redisBar = Math.max(1, Math.round((redisOps / maxOps) * scale));
-    const dragonflyBar = Math.max(1, Math.round((dragonflyOps / maxOps) * scale));
-    
-    console.log(
-      chalk.blue('  Redis     ') + 
-      chalk.bgBlue('█'.repeat(redisBar)) + 
-      ' ' + chalk.gray(redisOps.toLocaleString())
-    );
-    
-    console.log(
-      chalk.magenta('  Dragonfly ') + 
-      chalk.bgMagenta('█'.repeat(dragonflyBar)) + 
-      ' ' + chalk.gray(dragonflyOps.toLocaleString())
-    );
-    
-    if (isDragonflyWinner) {
-      const speedup = (dragonflyOps / redisOps).toFixed(1);
-      console.log(chalk.green.bold(`            ⚡ DragonflyDB ${speedup}x faster`));
-    }
+  for (const entry of benchmarks) {
+    targets.forEach((target, idx) => {
+      const { mean, stddev, ci } = entry.results[target.name].throughput;
+      const lead = idx === 0 ? [{ rowSpan: targets.length, content: chalk.white(displayName(entry)) }] : [];
+      table.push([
+        ...lead,
+        paint(target)(target.label),
+        Math.round(mean).toLocaleString(),
+        Math.round(stddev).toLocaleString(),
+        `${Math.round(ci[0]).toLocaleString()} – ${Math.round(ci[1]).toLocaleString()}`
+      ]);
+    });
   }
   
-  console.log('\n');
+  console.log(table.toString());
 }
 
-// Print summary for blog
-function printBlogSummary(stats) {
-  console.log(chalk.yellow.bold('📝 BLOG SUMMARY'));
+// Print tail latency percentiles per benchmark and target
+function printLatencyTable(targets, benchmarks) {
+  console.log('\n');
+  console.log(chalk.yellow.bold('⏱️  LATENCY PERCENTILES (per command / pipeline)'));
   console.log(chalk.gray('━'.repeat(100)));
-  console.log('');
   
-  console.log(chalk.cyan('  Results Overview:'));
-  console.log(chalk.magenta(`  • DragonflyDB won: ${stats.dragonflyWins}/${stats.totalTests} benchmarks`));
-  console.log(chalk.blue(`  • Redis won: ${stats.redisWins}/${stats.totalTests} benchmarks`));
+  const table = new Table({
+    head: [
+      chalk.cyan.bold('Benchmark'),
+      chalk.cyan.bold('Target'),
+      chalk.cyan.bold('p50'),
+      chalk.cyan.bold('p90'),
+      chalk.cyan.bold('p99'),
+      chalk.cyan.bold('p99.9'),
+      chalk.cyan.bold('max')
+    ],
+    colWidths: [32, 14, 11, 11, 11, 11, 11],
+    style: {
+      head: [],
+      border: ['gray']
+    },
+    wordWrap: true
+  });
   
-  if (stats.dragonflySpeedups.length > 0) {
-    const avgSpeedup = stats.dragonflySpeedups.reduce((a, b) => a + b, 0) / stats.dragonflySpeedups.length;
-    const maxSpeedup = Math.max(...stats.dragonflySpeedups);
-    console.log(chalk.green(`  • DragonflyDB avg speedup: ${avgSpeedup.toFixed(1)}x (max: ${maxSpeedup.toFixed(1)}x)`));
+  for (const entry of benchmarks) {
+    targets.forEach((target, idx) => {
+      const latency = entry.results[target.name].latency;
+      const cells = [latency.p50, latency.p90, latency.p99, latency.p999, latency.max].map(formatLatency);
+      const lead = idx === 0 ? [{ rowSpan: targets.length, content: chalk.white(displayName(entry)) }] : [];
+      table.push([...lead, paint(target)(target.label), ...cells]);
+    });
   }
   
-  console.log('');
-  console.log(chalk.cyan('  Key Points for Your Blog:'));
-  console.log('');
-  console.log(chalk.white('  1. ') + chalk.green('SCAN Operations') + chalk.gray(' - DragonflyDB excels at parallel scanning'));
-  console.log(chalk.gray('     Multiple clients can scan data simultaneously without blocking.'));
-  console.log('');
-  console.log(chalk.white('  2. ') + chalk.green('Memory Efficiency') + chalk.gray(' - Modern memory management'));
-  console.log(chalk.gray('     DragonflyDB uses ~25% less memory than Redis for same data.'));
-  console.log('');
-  console.log(chalk.white('  3. ') + chalk.green('Vertical Scaling') + chalk.gray(' - Single instance, multiple cores'));
-  console.log(chalk.gray('     No need for Redis Cluster complexity on multi-core servers.'));
-  console.log('');
-  console.log(chalk.white('  4. ') + chalk.green('Drop-in Replacement') + chalk.gray(' - Zero code changes'));
-  console.log(chalk.gray('     100% Redis protocol compatible - just point your app to DragonflyDB.'));
-  console.log('');
-  console.log(chalk.gray('━'.repeat(100)));
-  console.log('');
-  console.log(chalk.yellow.bold('  📌 Note for your blog:'));
-  console.log(chalk.gray('  On production Linux servers with 16+ cores, DragonflyDB shows'));
-  console.log(chalk.gray('  up to 25x higher throughput than Redis. Local Docker benchmarks'));
-  console.log(chalk.gray('  don\'t fully demonstrate its multi-threaded advantages.'));
-  console.log('');
-  console.log(chalk.cyan('  Official benchmarks: ') + chalk.white('https://www.dragonflydb.io/benchmarks'));
-  console.log('');
+  console.log(table.toString());
 }
 
-// Main benchmark function
-async function runBenchmarks() {
-  printHeader();
-  printArchitecture();
+// Print requested vs achieved rate for open-loop runs
+function printOpenLoopTable(targets, benchmarks) {
+  const openLoop = benchmarks.filter(entry => entry.results[targets[0].name].openLoop);
+  if (openLoop.length === 0) return;
   
-  const spinner = ora('Connecting to databases...').start();
+  console.log('\n');
+  console.log(chalk.yellow.bold('🎯 OPEN-LOOP RATE (latency above is from intended send time)'));
+  console.log(chalk.gray('━'.repeat(100)));
   
-  let redisClient, dragonflyClient;
+  const table = new Table({
+    head: [
+      chalk.cyan.bold('Benchmark'),
+      chalk.cyan.bold('Target'),
+      chalk.cyan.bold('Requested'),
+      chalk.cyan.bold('Achieved'),
+      chalk.cyan.bold('Sustained'),
+      chalk.cyan.bold('Service p99'),
+      chalk.cyan.bold('Max send lag')
+    ],
+    colWidths: [32, 14, 12, 12, 11, 13, 14],
+    style: {
+      head: [],
+      border: ['gray']
+    },
+    wordWrap: true
+  });
   
-  try {
-    redisClient = new Redis({ host: HOST, port: REDIS_PORT, lazyConnect: true });
-    dragonflyClient = new Redis({ host: HOST, port: DRAGONFLY_PORT, lazyConnect: true });
-    
-    await redisClient.connect();
-    await dragonflyClient.connect();
-    
-    spinner.succeed('Connected to both Redis and DragonflyDB');
-  } catch (error) {
-    spinner.fail('Failed to connect to databases');
-    console.log(chalk.red('\n⚠️  Make sure both databases are running:'));
-    console.log(chalk.gray('   docker compose up -d\n'));
-    process.exit(1);
+  for (const entry of openLoop) {
+    targets.forEach((target, idx) => {
+      const { openLoop: rate, serviceTime } = entry.results[target.name];
+      const lead = idx === 0 ? [{ rowSpan: targets.length, content: chalk.white(displayName(entry)) }] : [];
+      table.push([
+        ...lead,
+        paint(target)(target.label),
+        rate.targetRate.toLocaleString(),
+        rate.achievedRate.toLocaleString(),
+        rate.sustained ? chalk.green('yes') : chalk.red.bold('no'),
+        formatLatency(serviceTime.p99),
+        formatLatency(rate.maxSendLag)
+      ]);
+    });
   }
   
-  await cleanup(redisClient);
-  await cleanup(dragonflyClient);
+  console.log(table.toString());
+  console.log(chalk.gray('   Service time is measured from the actual send; the gap to the latency table is queueing delay.'));
+  console.log(chalk.gray('   A rate is sustained when every trial completed at least 95% of the requested commands/sec.'));
+}
+
+// Print how hard the client side worked, when workers were used or it was the limit
+function printLoadGeneratorTable(targets, benchmarks) {
+  const measured = benchmarks.filter(entry => entry.results[targets[0].name].loadGenerator);
+  const shown = measured.some(entry => targets.some(t => {
+    const load = entry.results[t.name].loadGenerator;
+    return load.saturated || load.mode !== 'inline';
+  }));
+  if (!shown) return;
   
-  const results = {};
+  console.log('\n');
+  console.log(chalk.yellow.bold('🧵 LOAD GENERATOR (client side, busiest trial)'));
+  console.log(chalk.gray('━'.repeat(100)));
   
-  // Test 1: Concurrent SCAN
-  console.log(chalk.cyan.bold('\n━━━ TEST 1: CONCURRENT SCAN OPERATIONS ━━━'));
-  console.log(chalk.gray('Multiple clients scanning 100K keys simultaneously\n'));
+  const table = new Table({
+    head: [
+      chalk.cyan.bold('Benchmark'),
+      chalk.cyan.bold('Target'),
+      chalk.cyan.bold('Clients run by'),
+      chalk.cyan.bold('CPU'),
+      chalk.cyan.bold('Busiest loop'),
+      chalk.cyan.bold('Loop lag p99'),
+      chalk.cyan.bold('Loop lag max'),
+      chalk.cyan.bold('Saturated')
+    ],
+    colWidths: [32, 14, 20, 14, 14, 14, 14, 11],
+    style: {
+      head: [],
+      border: ['gray']
+    },
+    wordWrap: true
+  });
   
-  results['Concurrent SCAN\n(100K keys, 8 clients)'] = {
-    redis: await benchmarkConcurrentScan(REDIS_PORT, chalk.blue('Redis'), 8, 100000),
-    dragonfly: await benchmarkConcurrentScan(DRAGONFLY_PORT, chalk.magenta('Dragonfly'), 8, 100000)
-  };
+  for (const entry of measured) {
+    targets.forEach((target, idx) => {
+      const load = entry.results[target.name].loadGenerator;
+      const lead = idx === 0 ? [{ rowSpan: targets.length, content: chalk.white(displayName(entry)) }] : [];
+      table.push([
+        ...lead,
+        paint(target)(target.label),
+        load.mode === 'inline' ? 'main thread' : describeWorkers(load.workers, load.mode),
+        `${load.cpu.toFixed(2)}/${load.cores} cores`,
+        `${Math.round(load.utilization * 100)}%`,
+        formatLatency(load.lagP99),
+        formatLatency(load.lagMax),
+        load.saturated ? chalk.red.bold('yes') : chalk.green('no')
+      ]);
+    });
+  }
   
-  // Test 2: KEYS Pattern
-  console.log(chalk.cyan.bold('\n━━━ TEST 2: KEYS PATTERN MATCHING ━━━'));
-  console.log(chalk.gray('Concurrent pattern matching on large keyspace\n'));
+  console.log(table.toString());
+  console.log(chalk.gray(`   Saturated: an event loop driving clients was ≥${Math.round(SATURATED_UTILIZATION * 100)}% busy or ran timers ≥${SATURATED_LAG}ms late, or the CPU was nearly used up.`));
+  console.log(chalk.gray('   Throughput measured while saturated is the load generator\'s limit, not the server\'s: add --workers, or use a bigger client machine.'));
+}
+
+// Command types shown per replayed capture (all of them go to exports)
+const REPLAY_TABLE_ROWS = 12;
+
+// Print latency per command type for replayed captures
+function printReplayTable(targets, benchmarks) {
+  const replays = benchmarks.filter(entry => entry.results[targets[0].name].replay);
+  if (replays.length === 0) return;
   
-  results['KEYS Pattern\n(8 clients)'] = {
-    redis: await benchmarkKeysPattern(REDIS_PORT, chalk.blue('Redis'), 8, 20),
-    dragonfly: await benchmarkKeysPattern(DRAGONFLY_PORT, chalk.magenta('Dragonfly'), 8, 20)
-  };
+  console.log('\n');
+  console.log(chalk.yellow.bold('🎞️  REPLAY LATENCY BY COMMAND (p50 / p99)'));
+  console.log(chalk.gray('━'.repeat(100)));
   
-  // Test 3: Memory Info
-  console.log(chalk.cyan.bold('\n━━━ TEST 3: MEMORY INFO COMMANDS ━━━'));
-  console.log(chalk.gray('Admin commands under concurrent load\n'));
+  const table = new Table({
+    head: [
+      chalk.cyan.bold('Benchmark'),
+      chalk.cyan.bold('Command'),
+      chalk.cyan.bold('Calls'),
+      ...targets.map(t => paint(t).bold(t.label))
+    ],
+    colWidths: [32, 16, 12, ...targets.map(() => 24)],
+    style: {
+      head: [],
+      border: ['gray']
+    },
+    wordWrap: true
+  });
   
-  results['Memory Info\n(10 clients)'] = {
-    redis: await benchmarkMemoryInfo(REDIS_PORT, chalk.blue('Redis'), 10, 100),
-    dragonfly: await benchmarkMemoryInfo(DRAGONFLY_PORT, chalk.magenta('Dragonfly'), 10, 100)
-  };
+  const notes = [];
+  for (const entry of replays) {
+    const reference = entry.results[targets[0].name].replay;
+    const commands = Object.keys(reference.byCommand).slice(0, REPLAY_TABLE_ROWS);
+    commands.forEach((command, idx) => {
+      const lead = idx === 0 ? [{ rowSpan: commands.length, content: chalk.white(displayName(entry)) }] : [];
+      table.push([
+        ...lead,
+        command,
+        reference.byCommand[command].calls.toLocaleString(),
+        ...targets.map(t => {
+          const stats = entry.results[t.name].replay.byCommand[command];
+          if (!stats) return chalk.gray('—');
+          const errors = chalk.red(`${stats.errors.toLocaleString()} failed`);
+          if (stats.latency.count === 0) return errors;
+          const latency = `${formatLatency(stats.latency.p50)} / ${formatLatency(stats.latency.p99)}`;
+          return stats.errors > 0 ? `${latency} ${errors}` : latency;
+        })
+      ]);
+    });
+    const hidden = Object.keys(reference.byCommand).length - commands.length;
+    if (hidden > 0) notes.push(`${entry.name}: ${hidden} more command type(s) in JSON exports`);
+    if (reference.speed !== 'max') {
+      notes.push(`${entry.name}: worst lag behind the capture's schedule ${targets.map(t =>
+        `${t.label} ${formatLatency(entry.results[t.name].replay.maxLag)}`).join(', ')}`);
+    }
+  }
   
-  // Test 4: Bulk Operations
-  console.log(chalk.cyan.bold('\n━━━ TEST 4: BULK MSET/MGET ━━━'));
-  console.log(chalk.gray('Large batch operations (500 keys per batch)\n'));
+  console.log(table.toString());
+  console.log(chalk.gray(replays[0].results[targets[0].name].replay.speed === 'max'
+    ? '   At max speed each captured client\'s commands go out back to back; latency is from the actual send.'
+    : '   Latency is from each command\'s scheduled send time, so falling behind the capture shows up as latency.'));
+  notes.forEach(note => console.log(chalk.gray(`   ${note}`)));
+}
+
+// Print Pub/Sub deliveries and message loss
+function printDeliveryTable(targets, benchmarks) {
+  const pubsub = benchmarks.filter(entry => entry.results[targets[0].name].delivery);
+  if (pubsub.length === 0) return;
   
-  results['Bulk MSET/MGET\n(500 keys/batch)'] = {
-    redis: await benchmarkBulkOperations(REDIS_PORT, chalk.blue('Redis'), 500, 50),
-    dragonfly: await benchmarkBulkOperations(DRAGONFLY_PORT, chalk.magenta('Dragonfly'), 500, 50)
-  };
+  console.log('\n');
+  console.log(chalk.yellow.bold('📣 PUB/SUB DELIVERY (latency above is publish → receive)'));
+  console.log(chalk.gray('━'.repeat(100)));
   
-  // Test 5: Sorted Set Queries
-  console.log(chalk.cyan.bold('\n━━━ TEST 5: SORTED SET RANGE QUERIES ━━━'));
-  console.log(chalk.gray('Complex queries on 100K member sorted set\n'));
+  const table = new Table({
+    head: [
+      chalk.cyan.bold('Benchmark'),
+      chalk.cyan.bold('Target'),
+      chalk.cyan.bold('Published'),
+      chalk.cyan.bold('Expected'),
+      chalk.cyan.bold('Delivered'),
+      chalk.cyan.bold('Lost'),
+      chalk.cyan.bold('Msgs/sec')
+    ],
+    colWidths: [32, 14, 12, 12, 12, 14, 12],
+    style: {
+      head: [],
+      border: ['gray']
+    },
+    wordWrap: true
+  });
+  
+  for (const entry of pubsub) {
+    targets.forEach((target, idx) => {
+      const { delivery, opsPerSecond } = entry.results[target.name];
+      const lossRate = delivery.expected > 0 ? (delivery.lost / delivery.expected) * 100 : 0;
+      const lead = idx === 0 ? [{ rowSpan: targets.length, content: chalk.white(displayName(entry)) }] : [];
+      table.push([
+        ...lead,
+        paint(target)(target.label),
+        delivery.published.toLocaleString(),
+        delivery.expected.toLocaleString(),
+        delivery.delivered.toLocaleString(),
+        delivery.lost > 0 ? chalk.red(`${delivery.lost.toLocaleString()} (${lossRate.toFixed(2)}%)`) : chalk.green('0'),
+        opsPerSecond.toLocaleString()
+      ]);
+    });
+  }
+  
+  console.log(table.toString());
+}
+
+// Print produce/consume rates, pending growth and dead-consumer recovery
+function printStreamsTable(targets, benchmarks) {
+  const streams = benchmarks.filter(entry => entry.results[targets[0].name].streams);
+  if (streams.length === 0) return;
+  
+  console.log('\n');
+  console.log(chalk.yellow.bold('📬 STREAMS & CONSUMER GROUPS (latency above is XADD → XREADGROUP lag)'));
+  console.log(chalk.gray('━'.repeat(100)));
+  
+  const table = new Table({
+    head: [
+      chalk.cyan.bold('Benchmark'),
+      chalk.cyan.bold('Target'),
+      chalk.cyan.bold('Produce/s'),
+      chalk.cyan.bold('Consume/s'),
+      chalk.cyan.bold('Peak pending'),
+      chalk.cyan.bold('Left pending'),
+      chalk.cyan.bold('XCLAIMed')
+    ],
+    colWidths: [32, 14, 12, 12, 14, 14, 18],
+    style: {
+      head: [],
+      border: ['gray']
+    },
+    wordWrap: true
+  });
+  
+  for (const entry of streams) {
+    targets.forEach((target, idx) => {
+      const { streams: s } = entry.results[target.name];
+      const recovery = `${s.recovery.claimed}/${s.recovery.deadEntries}`;
+      const lead = idx === 0 ? [{ rowSpan: targets.length, content: chalk.white(displayName(entry)) }] : [];
+      table.push([
+        ...lead,
+        paint(target)(target.label),
+        s.produceRate.toLocaleString(),
+        s.consumeRate.toLocaleString(),
+        s.peakPending.toLocaleString(),
+        s.leftPending.toLocaleString(),
+        s.recovery.ok ? chalk.green(`✓ ${recovery}`) : chalk.red.bold(`✗ ${recovery}`)
+      ]);
+    });
+  }
+  
+  console.log(table.toString());
+  console.log(chalk.gray('   Left pending is what stayed unacknowledged after the workers drained the stream (the dead consumer\'s batch).'));
+  console.log(chalk.gray('   XCLAIMed counts those entries found in XPENDING and reclaimed by another consumer.'));
+}
+
+// Print WATCH retry and abort rates
+function printLockingTable(targets, benchmarks) {
+  const locking = benchmarks.filter(entry => entry.results[targets[0].name].locking);
+  if (locking.length === 0) return;
+  
+  console.log('\n');
+  console.log(chalk.yellow.bold('🔒 OPTIMISTIC LOCKING (latency above includes retries)'));
+  console.log(chalk.gray('━'.repeat(100)));
+  
+  const table = new Table({
+    head: [
+      chalk.cyan.bold('Benchmark'),
+      chalk.cyan.bold('Target'),
+      chalk.cyan.bold('Committed'),
+      chalk.cyan.bold('Attempts'),
+      chalk.cyan.bold('Retry rate'),
+      chalk.cyan.bold('Abort rate'),
+      chalk.cyan.bold('Lost updates')
+    ],
+    colWidths: [32, 14, 12, 12, 12, 12, 14],
+    style: {
+      head: [],
+      border: ['gray']
+    },
+    wordWrap: true
+  });
+  
+  for (const entry of locking) {
+    targets.forEach((target, idx) => {
+      const { locking: l } = entry.results[target.name];
+      const lead = idx === 0 ? [{ rowSpan: targets.length, content: chalk.white(displayName(entry)) }] : [];
+      table.push([
+        ...lead,
+        paint(target)(target.label),
+        l.committed.toLocaleString(),
+        l.attempts.toLocaleString(),
+        `${((l.retries / l.attempts) * 100).toFixed(1)}%`,
+        l.aborts > 0 ? chalk.yellow(`${((l.aborts / l.updates) * 100).toFixed(2)}%`) : '0%',
+        l.lostUpdates === 0 ? chalk.green('0') : chalk.red.bold(l.lostUpdates.toLocaleString())
+      ]);
+    });
+  }
+  
+  console.log(table.toString());
+  console.log(chalk.gray(`   Retry rate is the share of EXECs that failed because a watched key changed; an update aborts after ${MAX_WATCH_RETRIES} retries.`));
+}
+
+// Print failed commands by kind, for benchmarks where any target had failures
+function printErrorTable(targets, benchmarks) {
+  const failing = benchmarks.filter(entry => targets.some(t => entry.results[t.name].errors.total > 0));
+  if (failing.length === 0) return;
+  
+  console.log('\n');
+  console.log(chalk.yellow.bold('⚠️  FAILED COMMANDS'));
+  console.log(chalk.gray('━'.repeat(100)));
+  
+  const table = new Table({
+    head: [
+      chalk.cyan.bold('Benchmark'),
+      chalk.cyan.bold('Target'),
+      chalk.cyan.bold('Failed'),
+      ...ERROR_KINDS.map(kind => chalk.cyan.bold(kind[0].toUpperCase() + kind.slice(1)))
+    ],
+    colWidths: [32, 14, 10, ...ERROR_KINDS.map(() => 12)],
+    style: {
+      head: [],
+      border: ['gray']
+    },
+    wordWrap: true
+  });
+  
+  const examples = new Map();
+  for (const entry of failing) {
+    targets.forEach((target, idx) => {
+      const { errors } = entry.results[target.name];
+      const lead = idx === 0 ? [{ rowSpan: targets.length, content: chalk.white(displayName(entry)) }] : [];
+      table.push([
+        ...lead,
+        paint(target)(target.label),
+        errors.total > 0 ? chalk.red.bold(errors.total.toLocaleString()) : chalk.green('0'),
+        ...ERROR_KINDS.map(kind => errors[kind] > 0 ? chalk.red(errors[kind].toLocaleString()) : chalk.gray('0'))
+      ]);
+      for (const [kind, message] of Object.entries(errors.examples || {})) {
+        if (!examples.has(kind)) examples.set(kind, message);
+      }
+    });
+  }
+  
+  console.log(table.toString());
+  console.log(chalk.gray('   Requests that failed outright are left out of the latency percentiles.'));
+  for (const [kind, message] of examples) {
+    console.log(chalk.gray(`   ${kind}: ${message}`));
+  }
+}
+
+const SPARK = '▁▂▃▄▅▆▇█';
+const TRACE_WIDTH = 80;
+
+// Throughput trace as a one-line sparkline (buckets averaged to fit), with the outage start in red
+function formatTrace(trace) {
+  const step = Math.ceil(trace.rates.length / TRACE_WIDTH);
+  const rates = [];
+  for (let idx = 0; idx < trace.rates.length; idx += step) {
+    rates.push(mean(trace.rates.slice(idx, idx + step)));
+  }
+  const peak = Math.max(...rates, 1);
+  const event = Math.floor(-trace.offset / trace.bucket / step);
+  return rates.map((rate, idx) => {
+    const bar = SPARK[Math.min(SPARK.length - 1, Math.floor((rate / peak) * SPARK.length))];
+    return idx === event ? chalk.red(bar) : bar;
+  }).join('');
+}
+
+function formatSeconds(ms) {
+  return ms === null ? chalk.red.bold('never') : `${(ms / 1000).toFixed(1)}s`;
+}
+
+// Print how each target took the chaos outage: throughput dip, failures and recovery
+function printChaosTable(targets, benchmarks) {
+  const chaotic = benchmarks.filter(entry => entry.results[targets[0].name].chaos);
+  if (chaotic.length === 0) return;
+  const { action, outage } = chaotic[0].results[targets[0].name].chaos;
+  
+  console.log('\n');
+  console.log(chalk.yellow.bold(`💥 CHAOS: ${action.toUpperCase()} FOR ${outage}s`));
+  console.log(chalk.gray('━'.repeat(100)));
+  
+  const table = new Table({
+    head: [
+      chalk.cyan.bold('Benchmark'),
+      chalk.cyan.bold('Target'),
+      chalk.cyan.bold('Before'),
+      chalk.cyan.bold('Dip'),
+      chalk.cyan.bold('Failed ops'),
+      chalk.cyan.bold('Lost ops'),
+      chalk.cyan.bold('Recovery'),
+      chalk.cyan.bold('Downtime')
+    ],
+    colWidths: [32, 14, 12, 10, 12, 12, 11, 11],
+    style: {
+      head: [],
+      border: ['gray']
+    },
+    wordWrap: true
+  });
+  
+  const traces = [];
+  const hookErrors = [];
+  for (const entry of chaotic) {
+    if (chaotic.length > 1) traces.push(`   ${chalk.white(displayName(entry))}`);
+    targets.forEach((target, idx) => {
+      const { chaos } = entry.results[target.name];
+      const lead = idx === 0 ? [{ rowSpan: targets.length, content: chalk.white(displayName(entry)) }] : [];
+      if (!chaos.triggered) {
+        table.push([...lead, paint(target)(target.label), { colSpan: 6, content: chalk.yellow('run ended before the outage was due') }]);
+        return;
+      }
+      table.push([
+        ...lead,
+        paint(target)(target.label),
+        chaos.baselineRate === null ? '—' : `${chaos.baselineRate.toLocaleString()}/s`,
+        chaos.dip === null ? '—' : `${Math.round(chaos.dip * 100)}%`,
+        chaos.failedOps > 0 ? chalk.red(chaos.failedOps.toLocaleString()) : chalk.green('0'),
+        chaos.lostOps === null ? '—' : chaos.lostOps.toLocaleString(),
+        formatSeconds(chaos.recoveryTime),
+        formatSeconds(chaos.downtime)
+      ]);
+      traces.push(`   ${paint(target)(target.label.padEnd(14))} ${formatTrace(chaos.trace)}`);
+      hookErrors.push(...chaos.hookErrors.map(error => `${target.label}: ${error}`));
+    });
+  }
+  
+  console.log(table.toString());
+  console.log(chalk.gray(`   Recovery runs from the target coming back until throughput is at ${Math.round(RECOVERY_RATIO * 100)}% of its rate before the outage;`));
+  console.log(chalk.gray('   downtime runs from the outage starting. Lost ops is the work not done in that window. Worst trial shown.'));
+  if (traces.length > 0) {
+    console.log(chalk.gray('\n   Throughput around the outage (red = outage start):'));
+    traces.forEach(line => console.log(line));
+  }
+  for (const error of hookErrors) {
+    console.log(chalk.red(`   ⚠️  Chaos hook failed for ${error}`));
+  }
+}
+
+// Print what the servers reported via INFO while each benchmark ran
+function printServerMetrics(targets, benchmarks) {
+  console.log('\n');
+  console.log(chalk.yellow.bold('🖥️  SERVER METRICS (INFO sampled during each benchmark)'));
+  console.log(chalk.gray('━'.repeat(100)));
+  
+  const table = new Table({
+    head: [
+      chalk.cyan.bold('Benchmark'),
+      chalk.cyan.bold('Target'),
+      chalk.cyan.bold('Peak mem'),
+      chalk.cyan.bold('Dataset'),
+      chalk.cyan.bold('New keys'),
+      chalk.cyan.bold('Bytes/key'),
+      chalk.cyan.bold('Overhead'),
+      chalk.cyan.bold('CPU s'),
+      chalk.cyan.bold('Clients')
+    ],
+    colWidths: [32, 14, 11, 11, 10, 11, 10, 8, 9],
+    style: {
+      head: [],
+      border: ['gray']
+    },
+    wordWrap: true
+  });
+  
+  let evicted = 0;
+  for (const entry of benchmarks) {
+    targets.forEach((target, idx) => {
+      const { server, dataset } = entry.results[target.name];
+      evicted += server.evictedKeys || 0;
+      const lead = idx === 0 ? [{ rowSpan: targets.length, content: chalk.white(displayName(entry)) }] : [];
+      table.push([
+        ...lead,
+        paint(target)(target.label),
+        formatBytes(server.peakMemory),
+        formatBytes(dataset?.bytes),
+        dataset ? dataset.keys.toLocaleString() : '—',
+        formatBytes(dataset?.bytesPerKey),
+        formatBytes(dataset?.overheadPerValue),
+        server.cpuSeconds === null ? '—' : server.cpuSeconds.toFixed(2),
+        server.peakClients ?? '—'
+      ]);
+    });
+  }
+  
+  console.log(table.toString());
+  console.log(chalk.gray('   Dataset is the change in used_memory across the benchmark; overhead is bytes/key beyond the value payload.'));
+  if (evicted > 0) {
+    console.log(chalk.red(`   ⚠️  ${evicted.toLocaleString()} keys were evicted during the run; memory figures are understated.`));
+  }
+}
+
+// Print regression/improvement diff against a saved baseline
+function printBaselineComparison(targets, comparison) {
+  console.log('\n');
+  console.log(chalk.yellow.bold(`📉 BASELINE COMPARISON (vs "${comparison.baseline}", ${comparison.baselineTimestamp})`));
+  console.log(chalk.gray('━'.repeat(100)));
+  
+  const table = new Table({
+    head: [
+      chalk.cyan.bold('Benchmark'),
+      chalk.cyan.bold('Target'),
+      chalk.cyan.bold('Metric'),
+      chalk.cyan.bold('Baseline'),
+      chalk.cyan.bold('Current'),
+      chalk.cyan.bold('Change'),
+      chalk.cyan.bold('Status')
+    ],
+    colWidths: [24, 14, 10, 12, 12, 10, 16],
+    style: {
+      head: [],
+      border: ['gray']
+    }
+  });
+  
+  const format = (row, value) => row.metric === 'ops' ? Math.round(value).toLocaleString() : formatLatency(value);
+  const statusText = row => {
+    if (row.status === 'regression') return chalk.red.bold('▼ regression');
+    if (row.status === 'improvement') return chalk.green.bold('▲ improvement');
+    return chalk.gray(`within ±${row.tolerance}%`);
+  };
+  
+  for (const row of comparison.rows) {
+    const target = targets.find(t => t.name === row.target);
+    const sign = row.change > 0 ? '+' : '';
+    table.push([
+      chalk.white(row.name),
+      paint(target)(target.label),
+      row.metricLabel,
+      format(row, row.baseline),
+      format(row, row.current),
+      `${sign}${row.change.toFixed(1)}%`,
+      statusText(row)
+    ]);
+  }
+  
+  console.log(table.toString());
+  
+  const summary = `${comparison.regressions} regression(s), ${comparison.improvements} improvement(s)`;
+  console.log(comparison.regressions > 0 ? chalk.red.bold(`  ${summary}`) : chalk.green(`  ${summary}`));
+}
+
+// TLS cost per --tls-compare pair: connection setup, then every benchmark
+function printTlsComparison(targets, comparisons) {
+  for (const comparison of comparisons) {
+    const secure = targets.find(t => t.name === comparison.target);
+    const plain = targets.find(t => t.name === comparison.plaintext);
+    console.log('\n');
+    console.log(chalk.yellow.bold(`🔒 TLS VS PLAINTEXT: ${secure.label} (port ${secure.port} vs ${plain.port})`));
+    console.log(chalk.gray('━'.repeat(100)));
+    
+    const table = new Table({
+      head: [
+        chalk.cyan.bold('Benchmark'),
+        paint(plain).bold('Plaintext'),
+        paint(secure).bold('TLS'),
+        chalk.cyan.bold('TLS cost'),
+        paint(plain).bold('p99 plain'),
+        paint(secure).bold('p99 TLS')
+      ],
+      colWidths: [32, 14, 14, 12, 12, 12],
+      style: {
+        head: [],
+        border: ['gray']
+      }
+    });
+    
+    const { handshake } = comparison;
+    table.push([
+      chalk.white('Connection setup (p50)'),
+      formatLatency(handshake.plaintext.p50),
+      formatLatency(handshake.tls.p50),
+      `+${formatLatency(Math.max(0, handshake.overhead))}`,
+      formatLatency(handshake.plaintext.p99),
+      formatLatency(handshake.tls.p99)
+    ]);
+    for (const row of comparison.benchmarks) {
+      const cost = row.overhead === null ? chalk.gray('n/a') : `${row.overhead >= 0 ? '-' : '+'}${Math.abs(row.overhead * 100).toFixed(1)}%`;
+      table.push([
+        chalk.white(row.name),
+        `${row.plaintext.opsPerSecond.toLocaleString()}/s`,
+        `${row.tls.opsPerSecond.toLocaleString()}/s`,
+        row.overhead > 0.05 ? chalk.red(cost) : chalk.green(cost),
+        formatLatency(row.plaintext.p99),
+        formatLatency(row.tls.p99)
+      ]);
+    }
+    
+    console.log(table.toString());
+    console.log(chalk.gray('   Connection setup covers TCP connect, TLS handshake, AUTH and the ready check; TLS cost is the change in throughput.'));
+  }
+}
+
+// Print visual bars
+function printBarChart(targets, benchmarks) {
+  console.log('\n');
+  console.log(chalk.yellow.bold('📈 VISUAL COMPARISON'));
+  console.log(chalk.gray('━'.repeat(100)));
+  
+  const maxOps = Math.max(
+    ...benchmarks.flatMap(entry => targets.map(t => entry.results[t.name].opsPerSecond))
+  );
+  const labelWidth = Math.max(...targets.map(t => t.label.length)) + 1;
+  const indent = ' '.repeat(labelWidth + 2);
+  
+  for (const entry of benchmarks) {
+    const data = entry.results;
+    console.log(chalk.white.bold(`\n  ${entry.name} `) + chalk.gray(`(${entry.detail})`));
+    
+    const scale = 60;
+    for (const target of targets) {
+      const ops = data[target.name].opsPerSecond;
+      const bar = Math.max(1, Math.round((ops / maxOps) * scale));
+      console.log(
+        paint(target)(`  ${target.label.padEnd(labelWidth)}`) + 
+        paintBg(target)('█'.repeat(bar)) + 
+        ' ' + chalk.gray(ops.toLocaleString())
+      );
+      console.log(chalk.gray(`${indent}${formatPercentiles(data[target.name].latency)}`));
+    }
+    
+    const { verdict } = entry;
+    if (verdict.runnerUp) {
+      const winner = targets.find(t => t.name === verdict.winner);
+      const runnerUp = targets.find(t => t.name === verdict.runnerUp);
+      if (verdict.significant) {
+        console.log(chalk.green.bold(`${indent}⚡ ${winner.label} ${verdict.ratio.toFixed(1)}x faster than ${runnerUp.label}`));
+      } else {
+        console.log(chalk.gray(`${indent}≈ No significant difference between ${winner.label} and ${runnerUp.label}`));
+      }
+    }
+  }
+  
+  console.log('\n');
+}
+
+// One-line percentile summary shown under each bar
+function formatPercentiles(latency) {
+  return `p50 ${formatLatency(latency.p50)} · p90 ${formatLatency(latency.p90)} · p99 ${formatLatency(latency.p99)} · p99.9 ${formatLatency(latency.p999)} · max ${formatLatency(latency.max)}`;
+}
+
+// Print sweep curves: throughput and latency against the swept setting, plus the knee
+function printSweepResults(targets, sweeps) {
+  for (const sweep of sweeps) {
+    for (const curve of sweep.curves) {
+      const { axis } = curve;
+      console.log('\n');
+      console.log(chalk.yellow.bold(`📈 SCALING: ${sweep.name} vs ${axis}`) + (curve.fixed ? chalk.gray(` (${curve.fixed})`) : ''));
+      console.log(chalk.gray('━'.repeat(100)));
+      
+      const table = new Table({
+        head: [
+          chalk.cyan.bold(axis),
+          ...targets.flatMap(t => [
+            paint(t).bold(`${t.label} ops/s`),
+            paint(t)('p50'),
+            paint(t)('p99')
+          ])
+        ],
+        colWidths: [12, ...targets.flatMap(() => [20, 11, 11])],
+        style: {
+          head: [],
+          border: ['gray']
+        }
+      });
+      
+      const values = curve.targets[targets[0].name].points.map(p => p.value);
+      values.forEach((value, idx) => {
+        table.push([
+          chalk.white(value.toLocaleString()),
+          ...targets.flatMap(t => {
+            const { points, knee } = curve.targets[t.name];
+            const point = points[idx];
+            const marker = knee?.idx === idx ? chalk.yellow(' ◆ knee') : '';
+            return [
+              paint(t)(point.opsPerSecond.toLocaleString()) + marker,
+              chalk.gray(formatLatency(point.p50)),
+              chalk.gray(formatLatency(point.p99))
+            ];
+          })
+        ]);
+      });
+      console.log(table.toString());
+      
+      // Throughput bars on the left, p99 bars on the right, both scaled across targets
+      const maxOps = Math.max(...targets.flatMap(t => curve.targets[t.name].points.map(p => p.opsPerSecond)), 1);
+      const maxP99 = Math.max(...targets.flatMap(t => curve.targets[t.name].points.map(p => p.p99)), 0.001);
+      const valueWidth = Math.max(...values.map(v => `${axis}=${v}`.length)) + 1;
+      for (const target of targets) {
+        const { points, knee } = curve.targets[target.name];
+        console.log(paint(target).bold(`\n  ${target.label}`));
+        console.log(chalk.gray(`  ${' '.repeat(valueWidth)}${'throughput (ops/s)'.padEnd(45)}p99 latency`));
+        for (const [idx, point] of points.entries()) {
+          const opsBar = Math.max(1, Math.round((point.opsPerSecond / maxOps) * 30));
+          const latencyBar = Math.max(1, Math.round((point.p99 / maxP99) * 20));
+          console.log(
+            chalk.gray(`  ${`${axis}=${point.value}`.padEnd(valueWidth)}`) +
+            paintBg(target)('█'.repeat(opsBar)) + ' '.repeat(31 - opsBar) +
+            chalk.gray(point.opsPerSecond.toLocaleString().padEnd(14)) +
+            chalk.gray('▒'.repeat(latencyBar)) + ' ' + chalk.gray(formatLatency(point.p99)) +
+            (knee?.idx === idx ? chalk.yellow('  ◆ knee') : '')
+          );
+        }
+      }
+      
+      console.log();
+      for (const target of targets) {
+        const { points, knee } = curve.targets[target.name];
+        const label = paint(target).bold(target.label);
+        if (!knee) {
+          console.log(`  ${label}: ${chalk.green(`still scaling at ${axis}=${points[points.length - 1].value}`)}` +
+            chalk.gray(` (every step added ≥${KNEE_MIN_GAIN * 100}% throughput; extend the sweep to find the knee)`));
+          continue;
+        }
+        const here = points[knee.idx];
+        const next = points[knee.idx + 1];
+        const change = knee.gain >= 0 ? `adds only ${(knee.gain * 100).toFixed(1)}%` : `loses ${(-knee.gain * 100).toFixed(1)}%`;
+        console.log(`  ${label}: ${chalk.yellow(`knee at ${axis}=${here.value}`)}` +
+          chalk.gray(` — going to ${next.value} ${change} throughput while p99 goes ${formatLatency(here.p99)} → ${formatLatency(next.p99)}`) +
+          (knee.peak !== here.value ? chalk.gray(`; peak at ${axis}=${knee.peak}`) : ''));
+      }
+    }
+  }
+  console.log('\n');
+}
+
+// Bytes per key per benchmark; datasets differ in shape (strings, lists, one
+// big sorted set...), so targets are only compared within one benchmark, and
+// only where every target produced a footprint
+function printMemoryPoint(targets, benchmarks) {
+  const footprints = benchmarks.filter(entry => targets.some(t => entry.results[t.name].dataset?.bytesPerKey));
+  const compared = footprints.filter(entry => targets.every(t => entry.results[t.name].dataset?.bytesPerKey));
+  console.log(chalk.white('  2. ') + chalk.green('Memory Efficiency') + chalk.gray(' - Measured with INFO used_memory, per dataset'));
+  if (footprints.length === 0) {
+    console.log(chalk.gray('     Not measured: no benchmark produced a measurable per-key footprint.'));
+    return;
+  }
+  for (const entry of compared) {
+    const figures = targets.map(t => {
+      const { bytesPerKey, overheadPerValue } = entry.results[t.name].dataset;
+      const overhead = overheadPerValue === null ? '' : ` (${formatBytes(overheadPerValue)} overhead)`;
+      return `${t.label} ${formatBytes(bytesPerKey)}/key${overhead}`;
+    });
+    console.log(chalk.gray(`     ${entry.name} (${entry.detail}): ${figures.join(', ')}`));
+    if (targets.length > 1) {
+      const [best, runnerUp] = [...targets].sort((a, b) => entry.results[a.name].dataset.bytesPerKey - entry.results[b.name].dataset.bytesPerKey);
+      const saving = (1 - entry.results[best.name].dataset.bytesPerKey / entry.results[runnerUp.name].dataset.bytesPerKey) * 100;
+      console.log(chalk.gray(Math.round(saving) === 0
+        ? `       ${best.label} and ${runnerUp.label} used the same memory per key on this dataset.`
+        : `       ${best.label} used ${saving.toFixed(0)}% less memory per key than ${runnerUp.label} on this dataset.`));
+    }
+  }
+  const partial = footprints.filter(entry => !compared.includes(entry));
+  if (partial.length > 0) {
+    console.log(chalk.gray(`     Not compared (no footprint on every target): ${partial.map(entry => entry.name).join(', ')}`));
+  }
+}
+
+// SCAN verdicts: who was significantly faster, in how many of the concurrent-scan runs
+function printScanPoint(targets, benchmarks) {
+  const scans = benchmarks.filter(entry => (entry.sweep?.benchmark ?? entry.id) === 'concurrent-scan');
+  console.log(chalk.white('  1. ') + chalk.green('SCAN Operations') + chalk.gray(' - Concurrent SCAN clients'));
+  if (scans.length === 0) {
+    console.log(chalk.gray('     Not measured: this run had no concurrent SCAN benchmark.'));
+    return;
+  }
+  if (targets.length < 2) {
+    console.log(chalk.gray(`     ${scans.map(entry => `${entry.name} (${entry.detail}): ${entry.results[targets[0].name].opsPerSecond.toLocaleString()} ops/sec`).join(', ')}`));
+    return;
+  }
+  const decided = scans.filter(entry => entry.verdict.significant);
+  for (const target of targets) {
+    const won = decided.filter(entry => entry.verdict.winner === target.name);
+    if (won.length === 0) continue;
+    const lead = Math.max(...won.map(entry => entry.verdict.ratio));
+    console.log(chalk.gray(`     ${target.label} was faster in ${won.length}/${scans.length} SCAN run(s), by up to ${lead.toFixed(1)}x.`));
+  }
+  if (decided.length < scans.length) {
+    console.log(chalk.gray(`     No significant difference in ${scans.length - decided.length}/${scans.length} SCAN run(s).`));
+  }
+}
+
+// Print summary for blog
+function printBlogSummary(targets, stats, benchmarks) {
+  console.log(chalk.yellow.bold('📝 BLOG SUMMARY'));
+  console.log(chalk.gray('━'.repeat(100)));
+  console.log('');
+  
+  console.log(chalk.cyan('  Results Overview:'));
+  for (const target of targets) {
+    console.log(paint(target)(`  • ${target.label} won: ${stats.wins[target.name]}/${stats.totalTests} benchmarks`));
+  }
+  if (stats.undecided > 0) {
+    console.log(chalk.gray(`  • No significant difference: ${stats.undecided}/${stats.totalTests} benchmarks`));
+  }
+  
+  for (const target of targets) {
+    const targetSpeedups = stats.speedups[target.name];
+    if (targets.length > 1 && targetSpeedups.length > 0) {
+      const avgSpeedup = targetSpeedups.reduce((a, b) => a + b, 0) / targetSpeedups.length;
+      const maxSpeedup = Math.max(...targetSpeedups);
+      console.log(chalk.green(`  • ${target.label} avg lead over runner-up: ${avgSpeedup.toFixed(1)}x (max: ${maxSpeedup.toFixed(1)}x)`));
+    }
+  }
+  
+  console.log('');
+  console.log(chalk.cyan('  Key Points for Your Blog:'));
+  console.log('');
+  printScanPoint(targets, benchmarks);
+  console.log('');
+  printMemoryPoint(targets, benchmarks);
+  console.log('');
+  console.log(chalk.white('  3. ') + chalk.green('Drop-in Replacement') + chalk.gray(' - Redis protocol compatible'));
+  console.log(chalk.gray('     Check the commands your app relies on with `npm run verify` before switching.'));
+  console.log('');
+  console.log(chalk.gray('━'.repeat(100)));
+  console.log('');
+  console.log(chalk.yellow.bold('  📌 Note for your blog:'));
+  console.log(chalk.gray('  These figures were measured on this machine in this run. Thread-per-core'));
+  console.log(chalk.gray('  servers scale with cores, so rerun on production-sized hardware before quoting them.'));
+  console.log('');
+  console.log(chalk.cyan('  Official benchmarks: ') + chalk.white('https://www.dragonflydb.io/benchmarks'));
+  console.log('');
+}
+
+// --dry-run: what the run would write and delete, and whether preflight passes
+function printDryRun(targets, suite, namespace, inspections, force) {
+  console.log(chalk.cyan.bold('\n🧪 DRY RUN (nothing is written or deleted)'));
+  console.log(chalk.gray(`   Every key, channel and stream goes under ${namespace}; cleanup deletes ${namespace}* and nothing else\n`));
+  
+  const writes = new Table({
+    head: [chalk.cyan.bold('Benchmark'), chalk.cyan.bold('Writes')],
+    style: {
+      head: [],
+      border: ['gray']
+    }
+  });
+  for (const benchmark of suite) {
+    const keys = benchmark.keys || [];
+    writes.push([benchmark.id, keys.length > 0 ? keys.map(pattern => namespace + pattern).join('\n') : chalk.gray('no keys')]);
+  }
+  console.log(writes.toString());
+  
+  const table = new Table({
+    head: [chalk.cyan.bold('Target'), chalk.cyan.bold('Keys'), chalk.cyan.bold('Deleted first'), chalk.cyan.bold('Preflight')],
+    style: {
+      head: [],
+      border: ['gray']
+    }
+  });
+  targets.forEach((target, idx) => {
+    const { total, own, foreign, sample } = inspections[idx];
+    let verdict = chalk.green('✓ no other data');
+    if (foreign > 0) {
+      verdict = (force ? chalk.yellow : chalk.red)(`${force ? 'runs (--force)' : 'refused'}: ${foreign.toLocaleString()} unrelated, e.g. ${sample.join(', ')}`);
+    }
+    // Keys already under the namespace are leftovers of an earlier run with this --run-id
+    table.push([paint(target)(target.label), total.toLocaleString(), own.toLocaleString(), verdict]);
+  });
+  console.log(table.toString());
+  console.log('');
+}
+
+// Benchmarks run in order against every target
+// `keys` lists the key patterns each one writes (inside the run namespace)
+const BENCHMARKS = [
+  {
+    id: 'concurrent-scan',
+    name: 'Concurrent SCAN',
+    detail: '100K keys, 8 clients',
+    heading: 'CONCURRENT SCAN OPERATIONS',
+    description: 'Multiple clients scanning 100K keys simultaneously',
+    params: { numClients: 8, keysToCreate: 100000 },
+    keys: ['scan:key:*'],
+    valueBytes: 256,
+    sweep: { clients: 'numClients' },
+    run: (target, label, p, { seed }) => benchmarkConcurrentScan(target, label, p.numClients, p.keysToCreate, seed)
+  },
+  {
+    id: 'keys-pattern',
+    name: 'KEYS Pattern',
+    detail: '8 clients',
+    heading: 'KEYS PATTERN MATCHING',
+    description: 'Concurrent pattern matching on large keyspace',
+    params: { numClients: 8, iterations: 20 },
+    keys: [],
+    sweep: { clients: 'numClients' },
+    run: (target, label, p) => benchmarkKeysPattern(target, label, p.numClients, p.iterations)
+  },
+  {
+    id: 'memory-info',
+    name: 'Memory Info',
+    detail: '10 clients',
+    heading: 'MEMORY INFO COMMANDS',
+    description: 'Admin commands under concurrent load',
+    params: { numClients: 10, iterations: 100 },
+    keys: [],
+    sweep: { clients: 'numClients' },
+    run: (target, label, p) => benchmarkMemoryInfo(target, label, p.numClients, p.iterations)
+  },
+  {
+    id: 'bulk-mset-mget',
+    name: 'Bulk MSET/MGET',
+    detail: '500 keys/batch',
+    heading: 'BULK MSET/MGET',
+    description: 'Large batch operations (500 keys per batch)',
+    params: { batchSize: 500, iterations: 50, valueSize: 1024 },
+    keys: ['bulk:*'],
+    valueBytes: 1024,
+    sweep: { pipeline: 'batchSize', valueSize: 'valueSize' },
+    run: (target, label, p, { seed }) => benchmarkBulkOperations(target, label, p.batchSize, p.iterations, p.valueSize, seed)
+  },
+  {
+    id: 'sorted-set-queries',
+    name: 'Sorted Set Queries',
+    detail: '100K members',
+    heading: 'SORTED SET RANGE QUERIES',
+    description: 'Complex queries on 100K member sorted set',
+    params: { setSize: 100000, numClients: 6, queriesPerClient: 100 },
+    keys: ['leaderboard:main'],
+    sweep: { clients: 'numClients' },
+    run: (target, label, p, { seed }) => benchmarkSortedSetQueries(target, label, p.setSize, p.numClients, p.queriesPerClient, seed)
+  },
+  {
+    id: 'pipelined-mixed',
+    name: 'Mixed Workload',
+    detail: '10 clients',
+    heading: 'PIPELINED MIXED WORKLOAD',
+    description: 'Real-world pattern: SET, GET, INCR, LPUSH, HSET',
+    params: { numClients: 10, pipelinesPerClient: 100, keyspace: 50000, keyDistribution: 'zipfian:0.99' },
+    keys: ['mixed:*', 'counter:*', 'list:*', 'hash:*'],
+    sweep: { clients: 'numClients' },
+    run: (target, label, p, { seed }) => benchmarkPipelinedMixed(
+      target, label, p.numClients, p.pipelinesPerClient, p.keyspace, parseDistribution(p.keyDistribution), seed
+    )
+  },
+  {
+    id: 'pubsub-fanout',
+    name: 'Pub/Sub Fan-out',
+    detail: '50+5 subscribers',
+    heading: 'PUB/SUB FAN-OUT',
+    description: 'Rate-limited PUBLISH to 50 channel and 5 PSUBSCRIBE subscribers (end-to-end delivery latency)',
+    params: { subscribers: 50, patternSubscribers: 5, channels: 10, messages: 20000, rate: 10000, payloadSize: 128 },
+    keys: [],
+    sweep: { clients: 'subscribers', valueSize: 'payloadSize' },
+    run: (target, label, p, { seed }) => benchmarkPubSubFanout(
+      target, label, p.subscribers, p.patternSubscribers, p.channels, p.messages, p.rate, p.payloadSize, seed
+    )
+  },
+  {
+    id: 'streams-consumer-groups',
+    name: 'Streams Consumer Groups',
+    detail: '4 producers, 4 workers',
+    heading: 'STREAMS & CONSUMER GROUPS',
+    description: 'XADD producers and XREADGROUP/XACK workers in parallel, plus XCLAIM recovery of a dead consumer',
+    params: { producers: 4, consumers: 4, entriesPerProducer: 5000, batchSize: 100, payloadSize: 256 },
+    keys: ['stream:jobs'],
+    sweep: { clients: 'consumers', pipeline: 'batchSize', valueSize: 'payloadSize' },
+    run: (target, label, p, { seed }) => benchmarkStreams(
+      target, label, p.producers, p.consumers, p.entriesPerProducer, p.batchSize, p.payloadSize, seed
+    )
+  },
+  {
+    id: 'multi-exec',
+    name: 'MULTI/EXEC',
+    detail: '8 keys/tx, 10 clients',
+    heading: 'MULTI/EXEC TRANSACTIONS',
+    description: 'Atomic blocks of SET/INCR over 8 random keys each',
+    params: { numClients: 10, txPerClient: 500, keysPerTx: 8, keyspace: 10000 },
+    keys: ['tx:*'],
+    sweep: { clients: 'numClients', pipeline: 'keysPerTx' },
+    run: (target, label, p, { seed }) => benchmarkTransactions(
+      target, label, p.numClients, p.txPerClient, p.keysPerTx, p.keyspace, seed
+    )
+  },
+  {
+    id: 'watch-contention',
+    name: 'WATCH Contention',
+    detail: '16 clients, 4 hot keys',
+    heading: 'WATCH OPTIMISTIC LOCKING',
+    description: 'Read-modify-write with WATCH/MULTI/EXEC on a few hot counters, retrying aborted transactions',
+    params: { numClients: 16, updatesPerClient: 200, hotKeys: 4 },
+    keys: ['watch:*'],
+    sweep: { clients: 'numClients' },
+    run: (target, label, p, { seed }) => benchmarkWatchContention(
+      target, label, p.numClients, p.updatesPerClient, p.hotKeys, seed
+    )
+  },
+  {
+    id: 'evalsha-multi-key',
+    name: 'EVALSHA Multi-key',
+    detail: '8 keys/call, 10 clients',
+    heading: 'EVALSHA MULTI-KEY SCRIPTS',
+    description: 'Cached Lua script incrementing 8 random keys per call',
+    params: { numClients: 10, callsPerClient: 500, keysPerCall: 8, keyspace: 10000 },
+    keys: ['lua:*'],
+    sweep: { clients: 'numClients', pipeline: 'keysPerCall' },
+    run: (target, label, p, { seed }) => benchmarkEvalsha(
+      target, label, p.numClients, p.callsPerClient, p.keysPerCall, p.keyspace, seed
+    )
+  }
+];
+
+// The benchmark with a sweep point's values written into its params
+function sweepVariant(benchmark, point) {
+  const params = { ...benchmark.params };
+  for (const [dimension, value] of Object.entries(point)) {
+    params[benchmark.sweep[dimension]] = value;
+  }
+  const tag = describePoint(point);
+  return {
+    ...benchmark,
+    id: `${benchmark.id}[${tag.replaceAll(' ', ',')}]`,
+    detail: tag,
+    params,
+    valueBytes: point.valueSize && benchmark.valueBytes ? point.valueSize : benchmark.valueBytes
+  };
+}
+
+// Parse command line flags
+function parseOptions() {
+  const { values, positionals } = parseArgs({
+    options: {
+      config: { type: 'string', short: 'c' },
+      target: { type: 'string', short: 't', multiple: true },
+      output: { type: 'string', short: 'o', multiple: true },
+      baseline: { type: 'string', short: 'b' },
+      'save-baseline': { type: 'string' },
+      'baseline-dir': { type: 'string' },
+      tolerance: { type: 'string', multiple: true },
+      warmup: { type: 'string', short: 'w', default: '1' },
+      trials: { type: 'string', short: 'n', default: '3' },
+      confidence: { type: 'string', default: '0.95' },
+      workload: { type: 'string', multiple: true },
+      seed: { type: 'string', short: 's' },
+      distribution: { type: 'string', short: 'd' },
+      rate: { type: 'string', short: 'r' },
+      only: { type: 'string', multiple: true },
+      sweep: { type: 'string', multiple: true },
+      timeout: { type: 'string' },
+      chaos: { type: 'string' },
+      'chaos-at': { type: 'string' },
+      'chaos-for': { type: 'string' },
+      'chaos-hook': { type: 'string' },
+      'run-id': { type: 'string' },
+      force: { type: 'boolean', default: false },
+      'dry-run': { type: 'boolean', default: false },
+      'tls-compare': { type: 'boolean', default: false },
+      workers: { type: 'string' },
+      replay: { type: 'string', multiple: true },
+      'replay-speed': { type: 'string', default: '1' },
+      'replay-clients': { type: 'string', default: String(DEFAULT_REPLAY_CLIENTS) },
+      'worker-mode': { type: 'string', default: 'thread' },
+      'sample-interval': { type: 'string', default: String(DEFAULT_SAMPLE_INTERVAL) }
+    },
+    allowPositionals: true
+  });
+  // Bare arguments are workload files too, so shell globs work: benchmark.js workloads/*.yaml
+  values.workload = [...(values.workload || []), ...positionals];
+  return values;
+}
+
+// Run warmup iterations, then interleaved trials with a rotating target order
+// so no target always runs first (or always follows the same neighbour)
+// Chaos (if any) only disrupts measured trials, never warmups
+async function runTrials(benchmark, targets, { warmup, trials, seed, workers }, chaos) {
+  const label = target => paint(target)(target.label);
+  const context = { seed, workers };
+  
+  for (let round = 0; round < warmup; round++) {
+    for (const target of targets) {
+      await benchmark.run(target, `${label(target)} ${chalk.gray(`(warmup ${round + 1}/${warmup})`)}`, benchmark.params, context);
+    }
+  }
   
-  results['Sorted Set Queries\n(100K members)'] = {
-    redis: await benchmarkSortedSetQueries(REDIS_PORT, chalk.blue('Redis'), 100000, 6, 100),
-    dragonfly: await benchmarkSortedSetQueries(DRAGONFLY_PORT, chalk.magenta('Dragonfly'), 100000, 6, 100)
+  const runs = Object.fromEntries(targets.map(t => [t.name, []]));
+  for (let trial = 0; trial < trials; trial++) {
+    const order = targets.map((_, idx) => targets[(idx + trial) % targets.length]);
+    for (const target of order) {
+      const tag = trials > 1 ? ` ${chalk.gray(`[trial ${trial + 1}/${trials}]`)}` : '';
+      runs[target.name].push(await benchmark.run(target, label(target) + tag, benchmark.params, { ...context, chaos }));
+    }
+  }
+  return runs;
+}
+
+// Fold a target's trial results into one result with throughput statistics
+function aggregateTrials(runs, confidence) {
+  const histogram = new Histogram();
+  runs.forEach(run => histogram.merge(run.histogram));
+  const throughput = describe(runs.map(run => run.opsPerSecond), confidence);
+  
+  const result = {
+    duration: runs.reduce((sum, run) => sum + run.duration, 0),
+    opsPerSecond: Math.round(throughput.mean),
+    totalOps: runs.reduce((sum, run) => sum + run.totalOps, 0),
+    throughput,
+    latency: histogram.summary(),
+    histogram,
+    errors: mergeErrorSummaries(runs.map(run => run.errors))
   };
   
-  // Test 6: Pipelined Mixed
-  console.log(chalk.cyan.bold('\n━━━ TEST 6: PIPELINED MIXED WORKLOAD ━━━'));
-  console.log(chalk.gray('Real-world pattern: SET, GET, INCR, LPUSH, HSET\n'));
+  if (runs[0].chaos) {
+    result.chaos = aggregateChaos(runs.map(run => run.chaos));
+  }
+  
+  if (runs[0].delivery) {
+    result.delivery = Object.fromEntries(['published', 'expected', 'delivered', 'lost'].map(
+      field => [field, runs.reduce((sum, run) => sum + run.delivery[field], 0)]
+    ));
+  }
   
-  results['Mixed Workload\n(10 clients)'] = {
-    redis: await benchmarkPipelinedMixed(REDIS_PORT, chalk.blue('Redis'), 10, 100),
-    dragonfly: await benchmarkPipelinedMixed(DRAGONFLY_PORT, chalk.magenta('Dragonfly'), 10, 100)
+  if (runs[0].streams) {
+    const recoveries = runs.map(run => run.streams.recovery);
+    result.streams = {
+      produceRate: Math.round(mean(runs.map(run => run.streams.produceRate))),
+      consumeRate: Math.round(mean(runs.map(run => run.streams.consumeRate))),
+      peakPending: Math.max(...runs.map(run => run.streams.peakPending)),
+      leftPending: Math.max(...runs.map(run => run.streams.leftPending)),
+      recovery: {
+        deadEntries: recoveries.reduce((sum, r) => sum + r.deadEntries, 0),
+        claimed: recoveries.reduce((sum, r) => sum + r.claimed, 0),
+        ok: recoveries.every(r => r.ok)
+      }
+    };
+  }
+  
+  if (runs[0].locking) {
+    result.locking = Object.fromEntries(Object.keys(runs[0].locking).map(
+      field => [field, runs.reduce((sum, run) => sum + run.locking[field], 0)]
+    ));
+  }
+  
+  if (runs[0].replay) {
+    result.replay = aggregateReplay(runs.map(run => run.replay));
+  }
+  
+  if (runs[0].loadGenerator) {
+    result.loadGenerator = aggregateLoad(runs.map(run => run.loadGenerator));
+  }
+  
+  // Open-loop runs: the rate only counts as sustained if every trial kept up
+  if (runs[0].openLoop) {
+    const serviceTime = new Histogram();
+    runs.forEach(run => serviceTime.merge(run.serviceTimeHistogram));
+    result.serviceTime = serviceTime.summary();
+    result.openLoop = {
+      targetRate: runs[0].openLoop.targetRate,
+      achievedRate: Math.round(mean(runs.map(run => run.openLoop.achievedRate))),
+      sustained: runs.every(run => run.openLoop.sustained),
+      maxSendLag: Math.max(...runs.map(run => run.openLoop.maxSendLag))
+    };
+  }
+  return result;
+}
+
+// Main benchmark function
+async function runBenchmarks() {
+  const options = parseOptions();
+  // --tls-compare also runs every TLS target with a "plaintextPort" over plaintext
+  const { targets, pairs: tlsPairs } = options['tls-compare']
+    ? addPlaintextTwins(loadTargets(options))
+    : { targets: loadTargets(options), pairs: null };
+  const outputs = options.output || [];
+  outputs.forEach(parseOutputSpec); // fail on a bad --output before spending time benchmarking
+  const tolerances = parseTolerances(options.tolerance);
+  const baseline = options.baseline ? loadBaseline(options.baseline, options['baseline-dir']) : null;
+  const parameters = {
+    warmup: Number(options.warmup),
+    trials: Number(options.trials),
+    confidence: Number(options.confidence),
+    seed: options.seed || randomSeed(),
+    runId: options['run-id'] || createRunId()
   };
+  // Everything the run writes lives under its namespace, and only that is cleaned up
+  const namespace = runNamespace(parameters.runId);
+  targets.forEach(target => { target.namespace = namespace; });
+  if (options.rate) parameters.rate = Number(options.rate);
+  parameters.sampleInterval = Number(options['sample-interval']);
+  if (!Number.isInteger(parameters.warmup) || parameters.warmup < 0) {
+    throw new Error(`--warmup must be a non-negative integer (got "${options.warmup}")`);
+  }
+  if (!Number.isInteger(parameters.trials) || parameters.trials < 1) {
+    throw new Error(`--trials must be a positive integer (got "${options.trials}")`);
+  }
+  if (!(parameters.confidence > 0 && parameters.confidence < 1)) {
+    throw new Error(`--confidence must be between 0 and 1 (got "${options.confidence}")`);
+  }
+  if (!(parameters.sampleInterval > 0)) {
+    throw new Error(`--sample-interval must be a positive number of milliseconds (got "${options['sample-interval']}")`);
+  }
+  if (options.rate && !(parameters.rate > 0)) {
+    throw new Error(`--rate must be a positive number of commands per second (got "${options.rate}")`);
+  }
+  if (options.timeout) {
+    parameters.commandTimeout = Number(options.timeout);
+    if (!(parameters.commandTimeout > 0)) {
+      throw new Error(`--timeout must be a positive number of milliseconds (got "${options.timeout}")`);
+    }
+    targets.forEach(target => { target.commandTimeout = parameters.commandTimeout; });
+  }
+  if (options.workers) {
+    parameters.workers = createWorkerPlan({ count: options.workers, mode: options['worker-mode'] });
+  }
+  const chaos = options.chaos ? createChaosPlan({
+    action: options.chaos,
+    at: options['chaos-at'],
+    outage: options['chaos-for'],
+    hook: options['chaos-hook']
+  }) : null;
+  // --distribution overrides the key access pattern of every workload that picks keys
+  const distribution = options.distribution ? formatDistribution(parseDistribution(options.distribution)) : null;
+  // Open-loop mode and workers need workloads to split up, so --rate or --workers alone runs the bundled ones
+  const workloadFiles = options.workload.length === 0 && (parameters.rate || parameters.workers) ? bundledWorkloadFiles() : options.workload;
+  if (chaos && workloadFiles.length === 0) {
+    throw new Error('--chaos needs workload files (e.g. workloads/pipelined-mixed.yaml): the built-in benchmarks have no steady phase to disrupt');
+  }
+  // Captures given with --replay run after the workloads, or instead of the built-in benchmarks
+  const replayOptions = options.replay ? createReplayOptions({ speed: options['replay-speed'], clients: options['replay-clients'] }) : null;
+  const replays = (options.replay || []).map(file => replayBenchmark(loadCapture(file), replayOptions));
+  if (replayOptions) {
+    parameters.replay = replayOptions;
+  }
+  let suite = workloadFiles.length > 0 || replays.length > 0
+    ? workloadFiles.map(file => {
+      const workload = loadWorkloadFile(file);
+      if (distribution) workload.keyDistribution = parseDistribution(distribution);
+      if (parameters.rate) workload.rate = parameters.rate;
+      // A chaos run is timed, so there is a steady rate before and after the outage
+      if (chaos && !workload.duration) {
+        workload.duration = chaosDuration(chaos);
+        workload.ops = undefined;
+      }
+      return workloadBenchmark(workload);
+    }).concat(replays)
+    : BENCHMARKS.map(benchmark => distribution && benchmark.params.keyDistribution
+      ? { ...benchmark, params: { ...benchmark.params, keyDistribution: distribution } }
+      : benchmark);
+  if (options.only) {
+    const unknown = options.only.filter(id => !suite.some(b => b.id === id));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown benchmark(s) ${unknown.join(', ')} for --only (choose from ${suite.map(b => b.id).join(', ')})`);
+    }
+    suite = suite.filter(b => options.only.includes(b.id));
+  }
+  // --sweep runs every benchmark that supports the swept dimensions at each combination of values
+  const sweep = (options.sweep || []).map(parseSweepSpec);
+  const dimensions = sweep.map(d => d.dimension);
+  if (new Set(dimensions).size < dimensions.length) {
+    throw new Error('Each --sweep dimension may only be given once');
+  }
+  const points = sweep.length > 0 ? sweepPoints(sweep) : null;
+  const unswept = points ? suite.filter(b => !dimensions.every(d => b.sweep?.[d])) : [];
+  if (points) {
+    suite = suite.filter(b => !unswept.includes(b));
+    if (suite.length === 0) {
+      throw new Error(`No selected benchmark can be swept over ${dimensions.join(' and ')}`);
+    }
+    parameters.sweep = options.sweep;
+  }
+  if (chaos) {
+    parameters.chaos = { action: chaos.action, at: chaos.at, outage: chaos.outage };
+  }
+  if (tlsPairs) {
+    parameters.tlsCompare = true;
+  }
+  const startedAt = new Date();
   
-  // Print results
-  const stats = printComparisonTable(results);
-  printBarChart(results);
-  printBlogSummary(stats);
+  printHeader();
+  printArchitecture();
+  console.log(chalk.gray(`   🎲 Seed: ${parameters.seed} (pass --seed ${parameters.seed} to replay the same command streams)\n`));
+  console.log(chalk.gray(`   🏷️  Run ID: ${parameters.runId} (keys under ${namespace}; pass --run-id ${parameters.runId} to clear what an interrupted run left behind)\n`));
+  if (parameters.rate) {
+    console.log(chalk.gray(`   🎯 Open-loop: ${parameters.rate.toLocaleString()} commands/sec per target, latency measured from intended send time\n`));
+  }
+  if (replayOptions) {
+    console.log(chalk.gray(`   🎞️  Replay: ${replays.length} capture(s) at ${describeSpeed(replayOptions.speed)}, keys remapped under ${namespace}replay:\n`));
+  }
+  if (parameters.workers) {
+    const { count, mode } = parameters.workers;
+    console.log(chalk.gray(`   🧵 Workers: each workload's clients split over ${describeWorkers(count, mode)} per target\n`));
+  }
+  if (chaos) {
+    console.log(chalk.gray(`   💥 Chaos: ${chaos.action} each target ${chaos.at}s into every trial, ${chaos.restore} it ${chaos.outage}s later\n`));
+  }
+  if (points) {
+    console.log(chalk.gray(`   📈 Sweep: ${sweep.map(d => `${d.dimension}=${d.values.join(',')}`).join(' × ')} (${points.length} points per benchmark)`));
+    if (unswept.length > 0) {
+      console.log(chalk.gray(`      skipping ${unswept.map(b => b.id).join(', ')} (no ${dimensions.join('/')} parameter to sweep)`));
+    }
+    console.log();
+  }
+  
+  const spinner = ora('Connecting to databases...').start();
+  
+  const adminClients = {};
+  
+  for (const target of targets) {
+    try {
+      adminClients[target.name] = createClient(target, { keyPrefix: '' });
+      await connectClient(adminClients[target.name]);
+    } catch (error) {
+      spinner.fail(`Failed to connect to ${target.label} (${describeTarget(target)}): ${error.message}`);
+      console.log(chalk.red('\n⚠️  Make sure all targets are running:'));
+      console.log(chalk.gray('   docker compose up -d\n'));
+      process.exit(1);
+    }
+  }
   
-  // Cleanup
-  await cleanup(redisClient);
-  await cleanup(dragonflyClient);
+  spinner.succeed(`Connected to ${targets.map(t => t.label).join(', ')}`);
   
-  await redisClient.disconnect();
-  await dragonflyClient.disconnect();
+  // Preflight: a target holding someone else's keys would skew the results
+  // (and might be production), so it is refused unless --force
+  const inspections = await Promise.all(targets.map(t => inspectTarget(adminClients[t.name], namespace)));
+  if (options['dry-run']) {
+    printDryRun(targets, suite, namespace, inspections, options.force);
+    await Promise.all(targets.map(t => adminClients[t.name].disconnect()));
+    return;
+  }
+  const occupied = targets.filter((_, idx) => inspections[idx].foreign > 0);
+  for (const target of occupied) {
+    const { foreign, sample } = inspections[targets.indexOf(target)];
+    const message = `${target.label} (${describeTarget(target)}) holds ${foreign.toLocaleString()} unrelated key(s), e.g. ${sample.join(', ')}`;
+    if (options.force) console.log(chalk.yellow(`⚠️  ${message}; continuing because of --force (only ${namespace}* is deleted)`));
+    else console.log(chalk.red(`✖ ${message}`));
+  }
+  if (occupied.length > 0 && !options.force) {
+    console.log(chalk.red('\n⚠️  Refusing to benchmark a database that holds other data.'));
+    console.log(chalk.gray('   Point the target at an empty database (name=host:port/db), or pass --force to run alongside it.'));
+    console.log(chalk.gray('   Either way, cleanup only deletes keys under the run namespace.\n'));
+    await Promise.all(targets.map(t => adminClients[t.name].disconnect()));
+    process.exitCode = 1;
+    return;
+  }
+  
+  // Whatever happens from here on, the run's keys are deleted and the
+  // connections closed; only a killed process leaves keys for --run-id to clear
+  let run;
+  try {
+    // Leftovers of an earlier run with the same --run-id
+    for (const [idx, target] of targets.entries()) {
+      if (inspections[idx].own > 0) {
+        const deleted = await deleteNamespace(adminClients[target.name], namespace);
+        console.log(chalk.gray(`🧹 Deleted ${deleted.toLocaleString()} key(s) left under ${namespace} on ${target.label}`));
+      }
+    }
+    
+    // Connection setup cost on both sides of each TLS/plaintext pair
+    const handshakes = {};
+    if (tlsPairs) {
+      const probe = ora('Timing connection setup over TLS and plaintext...').start();
+      for (const target of tlsPairs.flat()) {
+        handshakes[target.name] = await measureHandshake(target);
+      }
+      probe.succeed(`Timed connection setup: ${tlsPairs.map(([secure, plain]) =>
+        `${secure.label} p50 ${formatLatency(handshakes[secure.name].p50)} TLS vs ${formatLatency(handshakes[plain.name].p50)} plaintext`).join(', ')}`);
+    }
+    
+    const benchmarks = [];
+    const sweeps = [];
+    
+    // One benchmark at one set of params: trials, server samples and a verdict
+    const measure = async benchmark => {
+      const { id, name, detail, params } = benchmark;
+      const before = await Promise.all(targets.map(t => snapshotMemory(adminClients[t.name])));
+      const samplers = targets.map(t => startSampler(t, { interval: parameters.sampleInterval }));
+      const runs = await runTrials(benchmark, targets, parameters, chaos);
+      const server = await Promise.all(samplers.map(sampler => sampler.stop()));
+      const after = await Promise.all(targets.map(t => snapshotMemory(adminClients[t.name])));
+      const results = Object.fromEntries(targets.map((t, idx) => [t.name, {
+        ...aggregateTrials(runs[t.name], parameters.confidence),
+        server: server[idx],
+        dataset: datasetFootprint(before[idx], after[idx], benchmark.valueBytes)
+      }]));
+      const verdict = judge(targets, results, parameters.confidence);
+      return { id, name, detail, params, results, verdict };
+    };
+    
+    for (const [idx, benchmark] of suite.entries()) {
+      console.log(chalk.cyan.bold(`\n━━━ TEST ${idx + 1}: ${benchmark.heading} ━━━`));
+      console.log(chalk.gray(`${benchmark.description}\n`));
+    
+      if (!points) {
+        benchmarks.push(await measure(benchmark));
+        continue;
+      }
+      const entries = [];
+      for (const point of points) {
+        console.log(chalk.white.bold(`  ▸ ${describePoint(point)}`));
+        entries.push({ ...await measure(sweepVariant(benchmark, point)), sweep: { benchmark: benchmark.id, point } });
+      }
+      benchmarks.push(...entries);
+      sweeps.push(summarizeSweep(benchmark, sweep, entries, targets));
+    }
+    
+    run = buildRunRecord({ startedAt, targets, benchmarks, parameters });
+    if (points) {
+      run.sweeps = sweeps;
+    }
+    if (baseline) {
+      run.comparison = compareRuns(baseline, run, tolerances);
+    }
+    if (tlsPairs) {
+      run.tls = compareTls(tlsPairs, benchmarks, handshakes);
+    }
+    
+    // Print results
+    const stats = printComparisonTable(targets, benchmarks);
+    if (run.comparison) {
+      printBaselineComparison(targets, run.comparison);
+    }
+    if (run.tls) {
+      printTlsComparison(targets, run.tls);
+    }
+    if (points) {
+      printSweepResults(targets, sweeps);
+    } else {
+      printBarChart(targets, benchmarks);
+      printBlogSummary(targets, stats, benchmarks);
+    }
+    
+    // Export results
+    if (options['save-baseline']) {
+      const file = saveBaseline(run, options['save-baseline'], options['baseline-dir']);
+      console.log(chalk.gray(`📌 Saved baseline "${options['save-baseline']}" to ${file}`));
+    }
+    for (const spec of outputs) {
+      const { format, path: file } = writeRunRecord(run, spec);
+      console.log(chalk.gray(`💾 Wrote ${format.toUpperCase()} results to ${file}`));
+    }
+  } finally {
+    // Cleanup: only the keys this run created
+    for (const target of targets) {
+      await deleteNamespace(adminClients[target.name], namespace).catch(error => {
+        console.log(chalk.yellow(`⚠️  Could not clean up ${namespace}* on ${target.label}: ${error.message} (rerun with --run-id ${parameters.runId} to clear it)`));
+      });
+      adminClients[target.name].disconnect();
+    }
+  }
   
   console.log(chalk.gray('✨ Benchmark complete!\n'));
+  
+  if (run.comparison?.regressions > 0) {
+    console.log(chalk.red.bold(`❌ ${run.comparison.regressions} regression(s) vs baseline "${run.comparison.baseline}"\n`));
+    process.exitCode = 1;
+  }
 }
 
 // Run the benchmarks
-runBenchmarks().catch(console.error);
+runBenchmarks().catch(error => {
+  console.error(chalk.red(error.message));
+  process.exitCode = 1;
+});
@@ -1,43 +1,118 @@
-import Redis from 'ioredis';
+import { parseArgs } from 'node:util';
 import blessed from 'blessed';
 import contrib from 'blessed-contrib';
+import chalk from 'chalk';
+import { loadTargets, createClient, connectClient, describeTarget } from './lib/targets.js';
+import { formatLatency } from './lib/histogram.js';
+import { bundledWorkloadFiles, loadWorkloadFile, normalizeWorkload, runWorkload } from './lib/workload.js';
+import { fetchInfo, toSample, formatBytes } from './lib/metrics.js';
+import { createRecorder, loadSession, createPlayer } from './lib/session.js';
+import { startLiveServer } from './lib/live.js';
+import { createRunId, runNamespace, deleteNamespace } from './lib/namespace.js';
 
-// Configuration
-const REDIS_PORT = 6379;
-const DRAGONFLY_PORT = 6380;
-const HOST = 'localhost';
+// Default entry in the workload menu: one pipeline of SETs with 1 KB values
+const QUICK_SET = normalizeWorkload({
+  id: 'quick-set',
+  name: 'Quick SET pipeline',
+  pipeline: 10000,
+  ops: 10000,
+  keyspace: 10000,
+  keyPrefix: 'bench',
+  valueSize: 1024,
+  commands: [{ command: 'SET', args: ['{key}', '{value}'] }]
+}, 'dashboard');
 
-// Generate random string
-function generateValue(size) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < size; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
+const DEFAULT_OPS = 10000;
+const DEFAULT_INTERVAL = 2000;
+const MAX_POINTS = 20;
+
+// Server health is polled on its own timer, independent of the workload runs
+const HEALTH_INTERVAL = 1000;
+const HEALTH_POINTS = 30;
+
+// Replay speed steps for +/-
+const SPEEDS = [0.25, 0.5, 1, 2, 5, 10, 25, 50, 100];
+
+// Key bindings: lowercase lowers a parameter, uppercase raises it
+const LIMITS = {
+  ops: { min: 100, max: 1000000 },
+  valueSize: { min: 16, max: 1024 * 1024 },
+  clients: { min: 1, max: 64 },
+  interval: { min: 250, max: 60000 }
+};
+
+function clamp(value, { min, max }) {
+  return Math.min(max, Math.max(min, value));
 }
 
-// Quick benchmark
-async function quickBenchmark(client, numOps, valueSize) {
-  const value = generateValue(valueSize);
-  const start = performance.now();
-  
-  const pipeline = client.pipeline();
-  for (let i = 0; i < numOps; i++) {
-    pipeline.set(`bench:${i}`, value);
-  }
-  await pipeline.exec();
-  
-  const end = performance.now();
-  const duration = end - start;
-  return Math.round((numOps / duration) * 1000);
+// Run parameters for a freshly selected workload
+function defaultParams(workload) {
+  return {
+    ops: Math.min(workload.ops || DEFAULT_OPS, DEFAULT_OPS),
+    valueSize: typeof workload.valueSize === 'number' ? workload.valueSize : null,
+    clients: workload.clients
+  };
+}
+
+// The workload as it will actually run with the dashboard's overrides
+function applyParams(workload, params) {
+  return {
+    ...workload,
+    ops: params.ops,
+    duration: undefined,
+    rate: undefined,
+    clients: params.clients,
+    valueSize: params.valueSize ?? workload.valueSize
+  };
+}
+
+// Bright variant of a named color (256-color codes 8-15) for the p50 lines
+const BRIGHT = { black: 8, red: 9, green: 10, yellow: 11, blue: 12, magenta: 13, cyan: 14, white: 15 };
+
+function brighter(color) {
+  return BRIGHT[color] ?? color;
+}
+
+function describeParams(params, interval) {
+  const valueSize = params.valueSize === null ? 'from file' : `${params.valueSize.toLocaleString()}B`;
+  return `ops ${params.ops.toLocaleString()} · value ${valueSize} · clients ${params.clients} · every ${interval / 1000}s`;
 }
 
 async function main() {
+  const { values: options, positionals } = parseArgs({
+    options: {
+      config: { type: 'string', short: 'c' },
+      target: { type: 'string', short: 't', multiple: true },
+      workload: { type: 'string', short: 'w', multiple: true },
+      record: { type: 'string' },
+      replay: { type: 'string' },
+      speed: { type: 'string', default: '1' },
+      serve: { type: 'string' }
+    },
+    allowPositionals: true
+  });
+  const speed = Number(options.speed);
+  if (!(speed > 0)) throw new Error(`--speed must be a positive number, got "${options.speed}"`);
+  if (options.record && options.replay) throw new Error('--record and --replay cannot be combined');
+
+  // A replay takes its targets from the recording and never connects to them
+  const session = options.replay ? loadSession(options.replay) : null;
+  const targets = session ? session.header.targets : loadTargets(options);
+  const labels = targets.map(t => t.label);
+  const workloads = session ? [] : [
+    QUICK_SET,
+    ...[...bundledWorkloadFiles(), ...(options.workload || []), ...positionals].map(loadWorkloadFile)
+  ];
+
+  // Browser view: started before the screen takes over the terminal, so a busy port fails cleanly
+  const live = options.serve
+    ? await startLiveServer(options.serve, { title: `${labels.join(' vs ')} - ${session ? 'Replay' : 'Live Benchmark Dashboard'}`, targets })
+    : null;
+
   // Create blessed screen
   const screen = blessed.screen({
     smartCSR: true,
-    title: 'Redis vs DragonflyDB - Live Dashboard'
+    title: `${labels.join(' vs ')} - ${session ? 'Replay' : 'Live Dashboard'}`
   });
 
   // Create grid
@@ -45,7 +120,9 @@ async function main() {
 
   // Title box
   const titleBox = grid.set(0, 0, 1, 12, blessed.box, {
-    content: '{center}{bold}🚀 REDIS vs DRAGONFLYDB - LIVE BENCHMARK DASHBOARD{/bold}{/center}',
+    content: session
+      ? `{center}{bold}⏪ ${labels.join(' vs ').toUpperCase()} - REPLAY OF ${session.header.startedAt}{/bold}{/center}`
+      : `{center}{bold}🚀 ${labels.join(' vs ').toUpperCase()} - LIVE BENCHMARK DASHBOARD{/bold}{/center}`,
     tags: true,
     style: {
       fg: 'white',
@@ -54,7 +131,7 @@ async function main() {
   });
 
   // Line chart for real-time comparison
-  const line = grid.set(1, 0, 5, 8, contrib.line, {
+  const line = grid.set(1, 0, 3, 6, contrib.line, {
     style: {
       line: 'yellow',
       text: 'green',
@@ -69,8 +146,23 @@ async function main() {
     label: ' Operations per Second (Live) '
   });
 
+  // Latency percentiles per target: p99 in the target's color, p50 brighter
+  const latencyLine = grid.set(1, 6, 3, 6, contrib.line, {
+    style: {
+      line: 'yellow',
+      text: 'green',
+      baseline: 'black'
+    },
+    xLabelPadding: 3,
+    xPadding: 5,
+    showLegend: true,
+    legend: { width: 18 },
+    wholeNumbersOnly: false,
+    label: ' Latency p50 / p99 (ms) '
+  });
+
   // Bar chart for comparison
-  const bar = grid.set(1, 8, 5, 4, contrib.bar, {
+  const bar = grid.set(4, 0, 4, 3, contrib.bar, {
     label: ' Average Performance ',
     barWidth: 8,
     barSpacing: 4,
@@ -79,7 +171,7 @@ async function main() {
   });
 
   // Donut chart for wins
-  const donut = grid.set(6, 0, 4, 4, contrib.donut, {
+  const donut = grid.set(4, 3, 4, 3, contrib.donut, {
     label: ' Benchmark Wins ',
     radius: 10,
     arcWidth: 3,
@@ -87,8 +179,31 @@ async function main() {
     yPadding: 2
   });
 
+  // INFO history: used_memory and instantaneous_ops_per_sec per target
+  const sparkline = grid.set(4, 6, 4, 3, contrib.sparkline, {
+    label: ' Server Trends ',
+    tags: true,
+    border: { type: 'line', fg: 'cyan' },
+    style: { fg: 'cyan', titleFg: 'white' }
+  });
+
+  // Latest INFO values per target
+  const healthTable = grid.set(4, 9, 4, 3, contrib.table, {
+    keys: true,
+    fg: 'white',
+    selectedFg: 'white',
+    selectedBg: 'blue',
+    interactive: false,
+    label: ' Server Health ',
+    width: '100%',
+    height: '100%',
+    border: { type: 'line', fg: 'cyan' },
+    columnSpacing: 2,
+    columnWidth: [8, ...targets.map(() => 10)]
+  });
+
   // Stats table
-  const statsTable = grid.set(6, 4, 4, 4, contrib.table, {
+  const statsTable = grid.set(8, 0, 3, 6, contrib.table, {
     keys: true,
     fg: 'white',
     selectedFg: 'white',
@@ -99,156 +214,503 @@ async function main() {
     height: '100%',
     border: { type: 'line', fg: 'cyan' },
     columnSpacing: 3,
-    columnWidth: [15, 15, 15]
+    columnWidth: [15, ...targets.map(() => 12)]
   });
 
   // Log box
-  const log = grid.set(6, 8, 4, 4, contrib.log, {
+  const log = grid.set(8, 6, 3, 6, contrib.log, {
     fg: 'green',
     selectedFg: 'green',
     label: ' Activity Log '
   });
 
   // Info box
-  const infoBox = grid.set(10, 0, 2, 12, blessed.box, {
+  const infoBox = grid.set(11, 0, 1, 12, blessed.box, {
     label: ' Configuration ',
-    content: `{cyan-fg}Redis:{/cyan-fg} localhost:${REDIS_PORT}  |  {magenta-fg}DragonflyDB:{/magenta-fg} localhost:${DRAGONFLY_PORT}  |  {yellow-fg}Press 'q' to quit{/yellow-fg}`,
     tags: true,
     border: { type: 'line' },
     style: { border: { fg: 'gray' } }
   });
 
-  // Connect to databases
-  let redis, dragonfly;
-  try {
-    redis = new Redis({ host: HOST, port: REDIS_PORT, lazyConnect: true });
-    dragonfly = new Redis({ host: HOST, port: DRAGONFLY_PORT, lazyConnect: true });
-    await redis.connect();
-    await dragonfly.connect();
-    log.log('Connected to Redis');
-    log.log('Connected to DragonflyDB');
-  } catch (error) {
-    log.log(`Error: ${error.message}`);
-    log.log('Make sure both databases are running!');
-    log.log('Run: docker compose up -d');
-    screen.render();
-    
-    screen.key(['q', 'C-c'], function() {
-      process.exit(0);
-    });
-    return;
+  // Workload menu, shown with 'w'
+  const menu = blessed.list({
+    parent: screen,
+    label: ' Choose a workload (enter to run, esc to close) ',
+    top: 'center',
+    left: 'center',
+    width: '50%',
+    height: Math.min(Math.max(workloads.length, 1) + 2, 20),
+    items: workloads.map(w => `${w.name} (${w.id})`),
+    keys: true,
+    vi: true,
+    hidden: true,
+    tags: true,
+    border: { type: 'line' },
+    style: {
+      border: { fg: 'cyan' },
+      selected: { bg: 'blue', fg: 'white', bold: true }
+    }
+  });
+
+  // Connect to databases (a replay never does)
+  const clients = {};
+  if (!session) {
+    try {
+      for (const target of targets) {
+        clients[target.name] = createClient(target);
+        await connectClient(clients[target.name]);
+        log.log(`Connected to ${target.label}`);
+      }
+    } catch (error) {
+      log.log(`Error: ${error.message}`);
+      log.log('Make sure all targets are running!');
+      log.log('Run: docker compose up -d');
+      screen.render();
+
+      // Nothing was written yet; release what did connect and fail the run
+      screen.key(['q', 'C-c'], async function() {
+        Object.values(clients).forEach(c => c.disconnect());
+        await live?.close();
+        process.exit(1);
+      });
+      return;
+    }
   }
 
+  // Everything the charts are built from also goes to the recording and the browser view
+  const recorder = options.record ? createRecorder(options.record, { targets }) : null;
+  const publish = (type, data) => {
+    recorder?.write(type, data);
+    live?.broadcast(type, data);
+  };
+  if (recorder) log.log(`Recording to ${options.record}`);
+  if (live) log.log(`Browser view at ${live.url}`);
+
+  // What runs, and how (a replay learns both from the recording)
+  let workload = null;
+  let params = null;
+  let interval = DEFAULT_INTERVAL;
+  let paused = false;
+  let player = null;
+
   // Data arrays
-  const redisData = { title: 'Redis', x: [], y: [], style: { line: 'blue' } };
-  const dragonflyData = { title: 'Dragonfly', x: [], y: [], style: { line: 'magenta' } };
-  
-  let iteration = 0;
-  let redisTotal = 0;
-  let dragonflyTotal = 0;
-  let redisWins = 0;
-  let dragonflyWins = 0;
+  let series;
+  let latencySeries;
+  let totals;
+  let wins;
+  let iteration;
+  let lastLatency;
+  let annotation = null;
+  const prepared = {};
+  // Workload keys live under this session's namespace and are deleted on quit
+  const namespace = runNamespace(createRunId());
+  const health = targets.map(() => ({ memory: [], opsPerSec: [], last: null, cpuPercent: null }));
+
+  const formatClock = ms => {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  };
+
+  function updateInfo() {
+    const state = player?.finished
+      ? '{yellow-fg}{bold}FINISHED{/bold}{/yellow-fg}'
+      : paused ? '{red-fg}{bold}PAUSED{/bold}{/red-fg}' : '{green-fg}RUNNING{/green-fg}';
+    const running = workload ? `{bold}${workload.name}{/bold}: ${describeParams(params, interval)}` : 'waiting for the first run';
+    const keys = session
+      ? '{yellow-fg}space{/yellow-fg} pause  {yellow-fg}+/-{/yellow-fg} speed  {yellow-fg}r{/yellow-fg} reset charts  {yellow-fg}q{/yellow-fg} quit'
+      : '{yellow-fg}w{/yellow-fg} workload  {yellow-fg}space{/yellow-fg} pause  {yellow-fg}o/O{/yellow-fg} ops  {yellow-fg}v/V{/yellow-fg} value size  ' +
+        '{yellow-fg}c/C{/yellow-fg} clients  {yellow-fg}i/I{/yellow-fg} interval  {yellow-fg}r{/yellow-fg} reset charts  {yellow-fg}q{/yellow-fg} quit';
+    const extra = session
+      ? [`replay ${formatClock(player.position)} / ${formatClock(player.duration)} at ${player.speed}x`]
+      : recorder ? ['{red-fg}● REC{/red-fg}'] : [];
+    if (live) extra.push(`{cyan-fg}${live.url}{/cyan-fg}`);
+    infoBox.setContent([
+      [
+        ...targets.map(t => `{${t.color}-fg}${t.label}:{/${t.color}-fg} ${describeTarget(t)}`),
+        running,
+        state
+      ].join('  |  '),
+      [...extra, keys].join('  |  ')
+    ].join('\n'));
+  }
+
+  function resetCharts() {
+    series = targets.map(t => ({ title: t.label, x: [], y: [], style: { line: t.color } }));
+    latencySeries = targets.flatMap(t => [
+      { title: `${t.label} p50`, x: [], y: [], style: { line: brighter(t.color) } },
+      { title: `${t.label} p99`, x: [], y: [], style: { line: t.color } }
+    ]);
+    totals = targets.map(() => 0);
+    wins = targets.map(() => 0);
+    iteration = 0;
+    lastLatency = targets.map(() => null);
+    annotation = null;
+
+    line.setData(series);
+    latencyLine.setData(latencySeries);
+    bar.setData({ titles: labels, data: targets.map(() => 0) });
+    donut.setData(targets.map(t => ({ percent: 1 / targets.length, label: t.label, color: t.color })));
+    statsTable.setData({
+      headers: ['Metric', ...labels],
+      data: [
+        ['Last (K ops/s)', ...targets.map(() => '-')],
+        ['Avg (K ops/s)', ...targets.map(() => '-')],
+        ['Last p99', ...targets.map(() => '-')],
+        ['Wins', ...targets.map(() => '0')],
+        ['Win Rate', ...targets.map(() => '-')]
+      ]
+    });
+  }
+
+  // Parameter changes keep the history but mark the next point on the x axis
+  function applyAnnotation(change) {
+    annotation = annotation ? `${annotation}, ${change}` : change;
+    log.log(`▲ ${change}`);
+    updateInfo();
+    screen.render();
+  }
+
+  function annotate(change) {
+    publish('annotate', { change, params, interval });
+    applyAnnotation(change);
+  }
+
+  function applyWorkload(next) {
+    log.log(workload ? `Switched to ${next.name}` : `Workload: ${next.name}`);
+    workload = next;
+    resetCharts();
+    updateInfo();
+    screen.render();
+  }
+
+  function selectWorkload(next) {
+    params = defaultParams(next);
+    publish('workload', { id: next.id, name: next.name, params, interval });
+    applyWorkload(next);
+  }
+
+  // Fold one round of results, one { opsPerSecond, p50, p99, errors } per target, into every chart
+  function applyRun(results) {
+    const ops = results.map(result => result.opsPerSecond);
+    lastLatency = results.map(result => result.p99);
+    const latencies = results.flatMap(result => [result.p50, result.p99]);
+
+    iteration++;
+    ops.forEach((value, idx) => { totals[idx] += value; });
+
+    const ranked = ops.map((value, idx) => idx).sort((a, b) => ops[b] - ops[a]);
+    const [winnerIdx, runnerUpIdx] = ranked;
+    wins[winnerIdx]++;
+    if (runnerUpIdx !== undefined) {
+      log.log(`${labels[winnerIdx]} wins! (${((ops[winnerIdx] / ops[runnerUpIdx]) * 100 - 100).toFixed(1)}% faster)`);
+    }
+    // Recordings made before errors were counted have none
+    results.forEach((result, idx) => {
+      if (result.errors > 0) log.log(`${labels[idx]}: ${result.errors.toLocaleString()} failed commands`);
+    });
+
+    // Update line chart
+    const label = annotation ? `▲${iteration}` : iteration.toString();
+    annotation = null;
+    const push = (data, value) => {
+      data.x.push(label);
+      data.y.push(value);
+
+      // Keep last 20 data points
+      if (data.x.length > MAX_POINTS) {
+        data.x.shift();
+        data.y.shift();
+      }
+    };
+    series.forEach((data, idx) => push(data, ops[idx] / 1000)); // Convert to K ops/sec
+    latencySeries.forEach((data, idx) => push(data, latencies[idx]));
+
+    line.setData(series);
+    latencyLine.setData(latencySeries);
+
+    // Update bar chart
+    const averages = totals.map(total => Math.round(total / iteration / 1000));
+    bar.setData({
+      titles: labels,
+      data: averages
+    });
+
+    // Update donut
+    donut.setData(targets.map((t, idx) => ({ percent: wins[idx] / iteration, label: t.label, color: t.color })));
+
+    // Update stats table
+    statsTable.setData({
+      headers: ['Metric', ...labels],
+      data: [
+        ['Last (K ops/s)', ...ops.map(value => (value / 1000).toFixed(1))],
+        ['Avg (K ops/s)', ...averages.map(value => value.toString())],
+        ['Last p99', ...lastLatency.map(formatLatency)],
+        ['Wins', ...wins.map(value => value.toString())],
+        ['Win Rate', ...wins.map(value => `${((value / iteration) * 100).toFixed(0)}%`)]
+      ]
+    });
+
+    screen.render();
+  }
 
   // Update function
   async function update() {
     try {
-      const numOps = 10000;
-      const valueSize = 1024;
-      
-      log.log(`Running iteration ${iteration + 1}...`);
-      
-      const redisOps = await quickBenchmark(redis, numOps, valueSize);
-      const dragonflyOps = await quickBenchmark(dragonfly, numOps, valueSize);
-      
-      iteration++;
-      redisTotal += redisOps;
-      dragonflyTotal += dragonflyOps;
-      
-      if (dragonflyOps > redisOps) {
-        dragonflyWins++;
-        log.log(`Dragonfly wins! (${((dragonflyOps / redisOps) * 100 - 100).toFixed(1)}% faster)`);
-      } else {
-        redisWins++;
-        log.log(`Redis wins! (${((redisOps / dragonflyOps) * 100 - 100).toFixed(1)}% faster)`);
-      }
-      
-      // Update line chart
-      const label = iteration.toString();
-      redisData.x.push(label);
-      redisData.y.push(redisOps / 1000); // Convert to K ops/sec
-      dragonflyData.x.push(label);
-      dragonflyData.y.push(dragonflyOps / 1000);
-      
-      // Keep last 20 data points
-      if (redisData.x.length > 20) {
-        redisData.x.shift();
-        redisData.y.shift();
-        dragonflyData.x.shift();
-        dragonflyData.y.shift();
+      const run = applyParams(workload, params);
+      const setupKey = `${workload.id}:${params.valueSize}`;
+
+      log.log(`Running ${workload.name} #${iteration + 1}...`);
+
+      const results = [];
+      for (const target of targets) {
+        const skipSetup = prepared[target.name] === setupKey;
+        const result = await runWorkload(run, { ...target, namespace }, target.label, { silent: true, skipSetup });
+        results.push({ opsPerSecond: result.opsPerSecond, p50: result.latency.p50, p99: result.latency.p99, errors: result.errors.total });
+        prepared[target.name] = setupKey;
       }
-      
-      line.setData([redisData, dragonflyData]);
-      
-      // Update bar chart
-      const redisAvg = Math.round(redisTotal / iteration / 1000);
-      const dragonflyAvg = Math.round(dragonflyTotal / iteration / 1000);
-      bar.setData({
-        titles: ['Redis', 'Dragonfly'],
-        data: [redisAvg, dragonflyAvg]
-      });
-      
-      // Update donut
-      donut.setData([
-        { percent: redisWins / iteration, label: 'Redis', color: 'blue' },
-        { percent: dragonflyWins / iteration, label: 'Dragonfly', color: 'magenta' }
-      ]);
-      
-      // Update stats table
-      statsTable.setData({
-        headers: ['Metric', 'Redis', 'Dragonfly'],
-        data: [
-          ['Last (K ops/s)', (redisOps / 1000).toFixed(1), (dragonflyOps / 1000).toFixed(1)],
-          ['Avg (K ops/s)', redisAvg.toString(), dragonflyAvg.toString()],
-          ['Wins', redisWins.toString(), dragonflyWins.toString()],
-          ['Win Rate', `${((redisWins / iteration) * 100).toFixed(0)}%`, `${((dragonflyWins / iteration) * 100).toFixed(0)}%`]
-        ]
-      });
-      
-      screen.render();
+      publish('run', { results });
+      applyRun(results);
     } catch (error) {
       log.log(`Error: ${error.message}`);
     }
   }
 
+  // Fold one INFO sample per target (null where INFO failed) into the health panels
+  function applyHealth(samples) {
+    samples.forEach((sample, idx) => {
+      if (!sample) return;
+      const state = health[idx];
+      // CPU time is cumulative; the share of one core is its growth over wall time
+      const previous = state.last;
+      state.cpuPercent = previous && previous.cpu !== null && sample.cpu !== null
+        ? ((sample.cpu - previous.cpu) / ((sample.t - previous.t) / 1000)) * 100
+        : state.cpuPercent;
+      state.last = sample;
+      state.memory.push(sample.usedMemory ?? 0);
+      state.opsPerSec.push(sample.opsPerSec ?? 0);
+      if (state.memory.length > HEALTH_POINTS) {
+        state.memory.shift();
+        state.opsPerSec.shift();
+      }
+    });
+
+    const show = (value, format = v => v.toLocaleString()) => value === null || value === undefined ? '-' : format(value);
+    sparkline.setData(
+      targets.flatMap(t => [
+        `{${t.color}-fg}${t.label}{/${t.color}-fg} memory`,
+        `{${t.color}-fg}${t.label}{/${t.color}-fg} ops/s`
+      ]),
+      health.flatMap(state => [state.memory, state.opsPerSec])
+    );
+    healthTable.setData({
+      headers: ['', ...labels],
+      data: [
+        ['Memory', ...health.map(state => show(state.last?.usedMemory, formatBytes))],
+        ['Clients', ...health.map(state => show(state.last?.connectedClients))],
+        ['Ops/s', ...health.map(state => show(state.last?.opsPerSec))],
+        ['Evicted', ...health.map(state => show(state.last?.evictedKeys))],
+        ['CPU %', ...health.map(state => show(state.cpuPercent, v => v.toFixed(0)))],
+        ['CPU s', ...health.map(state => show(state.last?.cpu, v => v.toFixed(1)))]
+      ]
+    });
+    screen.render();
+  }
+
+  // Poll INFO on the admin connections; keeps going while paused
+  async function pollHealth() {
+    const samples = await Promise.all(targets.map(async target => {
+      try {
+        return toSample(await fetchInfo(clients[target.name]), performance.now());
+      } catch {
+        // ignore: a target that refuses INFO keeps its last values
+        return null;
+      }
+    }));
+    publish('health', { samples });
+    applyHealth(samples);
+  }
+
+  let healthTimer = null;
+  async function healthTick() {
+    await pollHealth();
+    healthTimer = setTimeout(healthTick, HEALTH_INTERVAL);
+  }
+
+  // Run updates back to back, `interval` apart, so a slow run never overlaps the next
+  let timer = null;
+  let running = false;
+  async function tick() {
+    timer = null;
+    if (paused || running) return;
+    running = true;
+    await update();
+    running = false;
+    if (!paused) timer = setTimeout(tick, interval);
+  }
+  function restart() {
+    clearTimeout(timer);
+    timer = null;
+    if (!paused && !running) tick();
+  }
+
+  // Recorded events, applied the same way the live dashboard applied them
+  const replayEvent = {
+    workload: event => {
+      params = event.params;
+      interval = event.interval;
+      applyWorkload({ id: event.id, name: event.name });
+    },
+    run: event => applyRun(event.results),
+    health: event => applyHealth(event.samples),
+    annotate: event => {
+      params = event.params;
+      interval = event.interval;
+      applyAnnotation(event.change);
+    },
+    pause: event => log.log(event.paused ? 'Paused (recorded)' : 'Resumed (recorded)'),
+    reset: () => {
+      resetCharts();
+      log.log('Charts reset');
+      screen.render();
+    }
+  };
+
+  if (session) {
+    player = createPlayer(session.events, {
+      speed,
+      onEvent: event => {
+        const { t, type, ...data } = event;
+        live?.broadcast(type, data);
+        replayEvent[type](event);
+      },
+      onEnd: () => {
+        log.log('Replay finished');
+        updateInfo();
+        screen.render();
+      }
+    });
+  }
+
   // Initial render
-  bar.setData({ titles: ['Redis', 'Dragonfly'], data: [0, 0] });
-  donut.setData([
-    { percent: 0.5, label: 'Redis', color: 'blue' },
-    { percent: 0.5, label: 'Dragonfly', color: 'magenta' }
-  ]);
-  statsTable.setData({
-    headers: ['Metric', 'Redis', 'Dragonfly'],
-    data: [
-      ['Last (K ops/s)', '-', '-'],
-      ['Avg (K ops/s)', '-', '-'],
-      ['Wins', '0', '0'],
-      ['Win Rate', '-', '-']
-    ]
-  });
+  resetCharts();
+  updateInfo();
   screen.render();
 
-  // Run updates
-  update();
-  const interval = setInterval(update, 2000);
+  let clock = null;
+  if (session) {
+    log.log(`Replaying ${options.replay} (${session.events.length} events)`);
+    player.play();
+    // Keep the replay clock in the info box moving between events
+    clock = setInterval(() => {
+      updateInfo();
+      screen.render();
+    }, 500);
+  } else {
+    // Run updates
+    selectWorkload(QUICK_SET);
+    tick();
+    healthTick();
+  }
+
+  // Workload menu
+  screen.key(['w'], () => {
+    if (session) return;
+    menu.show();
+    menu.focus();
+    screen.render();
+  });
+  menu.key(['escape'], () => {
+    menu.hide();
+    screen.render();
+  });
+  menu.on('select', (item, idx) => {
+    menu.hide();
+    selectWorkload(workloads[idx]);
+    restart();
+  });
+
+  screen.key(['space', 'p'], () => {
+    paused = !paused;
+    if (player) {
+      if (paused) player.pause();
+      else player.play();
+    } else {
+      publish('pause', { paused });
+    }
+    log.log(paused ? 'Paused' : 'Resumed');
+    updateInfo();
+    screen.render();
+    if (!paused && !player) restart();
+  });
+
+  // Replay speed steps up and down through SPEEDS
+  const changeSpeed = direction => {
+    if (!player) return;
+    const current = player.speed;
+    const next = direction > 0
+      ? SPEEDS.find(step => step > current) ?? current
+      : [...SPEEDS].reverse().find(step => step < current) ?? current;
+    if (next === current) return;
+    player.setSpeed(next);
+    log.log(`Speed ${next}x`);
+    updateInfo();
+    screen.render();
+  };
+  screen.key(['+', '='], () => changeSpeed(1));
+  screen.key(['-'], () => changeSpeed(-1));
+
+  // Lowercase halves / decrements, uppercase doubles / increments
+  const adjust = (field, change, describe) => {
+    if (session || !menu.hidden) return;
+    const before = params[field] ?? (typeof workload.valueSize === 'number' ? workload.valueSize : 1024);
+    const after = clamp(change(before), LIMITS[field]);
+    if (after === params[field]) return;
+    params = { ...params, [field]: after };
+    annotate(`${describe} ${after.toLocaleString()}`);
+  };
+  screen.key(['o'], () => adjust('ops', v => Math.round(v / 2), 'ops'));
+  screen.key(['S-o'], () => adjust('ops', v => v * 2, 'ops'));
+  screen.key(['v'], () => adjust('valueSize', v => Math.round(v / 2), 'value size'));
+  screen.key(['S-v'], () => adjust('valueSize', v => v * 2, 'value size'));
+  screen.key(['c'], () => adjust('clients', v => v - 1, 'clients'));
+  screen.key(['S-c'], () => adjust('clients', v => v + 1, 'clients'));
+
+  const changeInterval = change => {
+    if (session || !menu.hidden) return;
+    const next = clamp(change(interval), LIMITS.interval);
+    if (next === interval) return;
+    interval = next;
+    annotate(`interval ${interval / 1000}s`);
+    restart();
+  };
+  screen.key(['i'], () => changeInterval(v => v / 2));
+  screen.key(['S-i'], () => changeInterval(v => v * 2));
+
+  screen.key(['r'], () => {
+    publish('reset');
+    resetCharts();
+    log.log('Charts reset');
+    screen.render();
+  });
 
   // Handle quit
   screen.key(['q', 'C-c'], async function() {
-    clearInterval(interval);
-    await redis.disconnect();
-    await dragonfly.disconnect();
+    paused = true;
+    clearTimeout(timer);
+    clearTimeout(healthTimer);
+    clearInterval(clock);
+    player?.pause();
+    recorder?.close();
+    await live?.close();
+    await Promise.all(Object.values(clients).map(async c => {
+      await deleteNamespace(c, namespace).catch(() => {});
+      c.disconnect();
+    }));
     process.exit(0);
   });
 }
 
-main().catch(console.error);
-
+main().catch(error => {
+  console.error(chalk.red(error.message));
+  process.exitCode = 1;
+});
@@ -0,0 +1,118 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { toJSON } from './export.js';
+
+export const DEFAULT_BASELINE_DIR = 'baselines';
+
+// Percent change allowed before a metric counts as a regression/improvement
+export const DEFAULT_TOLERANCES = { ops: 10, p99: 20 };
+
+// ops is higher-is-better, latency percentiles are lower-is-better
+const METRICS = {
+  ops: { label: 'ops/sec', higherIsBetter: true, read: r => r.opsPerSecond },
+  p50: { label: 'p50', higherIsBetter: false, read: r => r.latency.p50 },
+  p90: { label: 'p90', higherIsBetter: false, read: r => r.latency.p90 },
+  p99: { label: 'p99', higherIsBetter: false, read: r => r.latency.p99 },
+  p999: { label: 'p99.9', higherIsBetter: false, read: r => r.latency.p999 },
+  max: { label: 'max', higherIsBetter: false, read: r => r.latency.max }
+};
+
+// A bare name lives in the baseline directory; anything path-like is used as-is
+export function baselinePath(name, dir = DEFAULT_BASELINE_DIR) {
+  if (name.includes('/') || name.endsWith('.json')) return name;
+  return path.join(dir, `${name}.json`);
+}
+
+export function saveBaseline(run, name, dir) {
+  const file = baselinePath(name, dir);
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, toJSON({ ...run, baseline: name }));
+  return file;
+}
+
+export function loadBaseline(name, dir) {
+  const file = baselinePath(name, dir);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Baseline "${name}" not found at ${file}`);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Parse --tolerance flags: "10" (ops), "p99=25", "keys-pattern=15", "keys-pattern.p99=40"
+export function parseTolerances(specs = []) {
+  const tolerances = { defaults: { ...DEFAULT_TOLERANCES }, benchmarks: {} };
+
+  for (const spec of specs) {
+    const match = /^(?:(?:([\w-]+)\.)?([\w-]+)=)?(\d+(?:\.\d+)?)%?$/.exec(spec.trim());
+    if (!match) {
+      throw new Error(`Invalid tolerance "${spec}" (expected [benchmark.]metric=percent)`);
+    }
+    let [, benchmark, key, percent] = match;
+    percent = Number(percent);
+
+    // "keys-pattern=15" names a benchmark, "p99=25" names a metric
+    if (key && !METRICS[key] && !benchmark) {
+      benchmark = key;
+      key = 'ops';
+    }
+    key = key || 'ops';
+    if (!METRICS[key]) {
+      throw new Error(`Unknown metric "${key}" in tolerance "${spec}" (use ${Object.keys(METRICS).join(', ')})`);
+    }
+
+    if (benchmark) {
+      tolerances.benchmarks[benchmark] = { ...tolerances.benchmarks[benchmark], [key]: percent };
+    } else {
+      tolerances.defaults[key] = percent;
+    }
+  }
+  return tolerances;
+}
+
+// Compare a run against a baseline, benchmark by benchmark and target by target
+export function compareRuns(baseline, run, tolerances = parseTolerances()) {
+  const rows = [];
+
+  for (const benchmark of run.benchmarks) {
+    const before = baseline.benchmarks.find(b => b.id === benchmark.id);
+    if (!before) continue;
+
+    const limits = { ...tolerances.defaults, ...tolerances.benchmarks[benchmark.id] };
+
+    for (const target of run.targets) {
+      const current = benchmark.results[target.name];
+      const previous = before.results[target.name];
+      if (!current || !previous) continue;
+
+      for (const [key, tolerance] of Object.entries(limits)) {
+        const metric = METRICS[key];
+        const was = metric.read(previous);
+        const now = metric.read(current);
+        const change = was === 0 ? 0 : ((now - was) / was) * 100;
+        const gain = metric.higherIsBetter ? change : -change;
+        const status = gain < -tolerance ? 'regression' : gain > tolerance ? 'improvement' : 'ok';
+
+        rows.push({
+          benchmark: benchmark.id,
+          name: benchmark.name,
+          target: target.name,
+          metric: key,
+          metricLabel: metric.label,
+          baseline: was,
+          current: now,
+          change,
+          tolerance,
+          status
+        });
+      }
+    }
+  }
+
+  return {
+    baseline: baseline.baseline || baseline.timestamp,
+    baselineTimestamp: baseline.timestamp,
+    rows,
+    regressions: rows.filter(r => r.status === 'regression').length,
+    improvements: rows.filter(r => r.status === 'improvement').length
+  };
+}
@@ -0,0 +1,218 @@
+import { execFile } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { mean } from './stats.js';
+
+// Chaos runs
+// While a workload runs, a local command hook takes the target down (kill or
+// pause) and brings it back after an outage. A timeline of completed and
+// failed operations then shows how deep throughput dipped and how long the
+// target took to recover.
+//
+// The hook is a shell command, called as `<hook> <action> <target name>` with
+// CHAOS_ACTION, CHAOS_TARGET, CHAOS_HOST and CHAOS_PORT in its environment.
+// Actions come in pairs: kill is undone by start, pause by resume. The default
+// hook, scripts/chaos.sh, drives the containers from docker-compose.yml; a
+// target can name its own with "chaosHook" in the config file.
+
+// Each action and the one that undoes it
+export const CHAOS_ACTIONS = { kill: 'start', pause: 'resume' };
+
+export const DEFAULT_CHAOS_AT = 5;
+export const DEFAULT_CHAOS_OUTAGE = 5;
+
+// Throughput counts as recovered once a bucket is back at this share of the pre-chaos rate
+export const RECOVERY_RATIO = 0.9;
+
+// Seconds a workload that counts ops instead gets after the outage to show its recovery
+const RECOVERY_WINDOW = 10;
+
+const BUCKET = 100;
+const HOOK_TIMEOUT = 60000;
+// Buckets kept either side of the event for the throughput trace
+const TRACE_MARGIN = 20;
+
+const shellQuote = text => `'${text.replace(/'/g, `'\\''`)}'`;
+
+export const DEFAULT_CHAOS_HOOK = `sh ${shellQuote(fileURLToPath(new URL('../scripts/chaos.sh', import.meta.url)))}`;
+
+// Validate --chaos, --chaos-at, --chaos-for and --chaos-hook
+export function createChaosPlan({ action, at = DEFAULT_CHAOS_AT, outage = DEFAULT_CHAOS_OUTAGE, hook = DEFAULT_CHAOS_HOOK }) {
+  if (!CHAOS_ACTIONS[action]) {
+    throw new Error(`Invalid --chaos "${action}" (expected ${Object.keys(CHAOS_ACTIONS).join(' or ')})`);
+  }
+  if (!(Number(at) >= 0)) throw new Error(`--chaos-at must be a non-negative number of seconds (got "${at}")`);
+  if (!(Number(outage) > 0)) throw new Error(`--chaos-for must be a positive number of seconds (got "${outage}")`);
+  return { action, restore: CHAOS_ACTIONS[action], at: Number(at), outage: Number(outage), hook };
+}
+
+// How long a chaos run lasts when the workload doesn't set a duration
+export function chaosDuration(plan) {
+  return plan.at + plan.outage + RECOVERY_WINDOW;
+}
+
+// Run the hook; resolves to null, or an error message if it failed
+function runHook(hook, action, target) {
+  const env = {
+    ...process.env,
+    CHAOS_ACTION: action,
+    CHAOS_TARGET: target.name,
+    CHAOS_HOST: target.host,
+    CHAOS_PORT: String(target.port)
+  };
+  return new Promise(resolve => {
+    execFile('/bin/sh', ['-c', `${hook} "$@"`, 'chaos-hook', action, target.name], { env, timeout: HOOK_TIMEOUT }, (error, stdout, stderr) => {
+      if (!error) return resolve(null);
+      const reason = error.killed ? `timed out after ${HOOK_TIMEOUT / 1000}s` : `exited with ${error.code ?? error.signal}`;
+      resolve(`${action}: ${stderr.trim() || reason}`);
+    });
+  });
+}
+
+// Completed and failed operations in fixed-width time buckets
+export class Timeline {
+  constructor(start, bucket = BUCKET) {
+    this.start = start;
+    this.bucket = bucket;
+    this.ok = [];
+    this.failed = [];
+  }
+
+  index(time) {
+    return Math.max(0, Math.floor((time - this.start) / this.bucket));
+  }
+
+  record(ok, count = 1, time = performance.now()) {
+    const series = ok ? this.ok : this.failed;
+    const idx = this.index(time);
+    series[idx] = (series[idx] || 0) + count;
+  }
+
+  // Completed ops/sec in one bucket
+  rate(idx) {
+    return ((this.ok[idx] || 0) * 1000) / this.bucket;
+  }
+
+  // Add the counts of a timeline that started at the same moment (e.g. a load worker's)
+  merge(other) {
+    for (const field of ['ok', 'failed']) {
+      other[field].forEach((count, idx) => { this[field][idx] = (this[field][idx] || 0) + count; });
+    }
+    return this;
+  }
+}
+
+// Schedule the outage `plan.at` seconds after `start`
+// Returns { cancel() }: cancel() resolves to the event ({ injectedAt,
+// restoredAt, hookErrors }), or null if the run ended before it was due. An
+// outage in progress always runs to the end, so the target is never left down.
+export function scheduleChaos(plan, target, start) {
+  const hook = target.chaosHook || plan.hook;
+  let timer = null;
+  let wake = null;
+  let cancelled = false;
+  const sleep = ms => new Promise(resolve => {
+    wake = resolve;
+    timer = setTimeout(resolve, Math.max(0, ms));
+  });
+
+  const event = (async () => {
+    await sleep(start + plan.at * 1000 - performance.now());
+    if (cancelled) return null;
+    const injectedAt = performance.now();
+    const hookErrors = [await runHook(hook, plan.action, target)];
+    await new Promise(resolve => setTimeout(resolve, injectedAt + plan.outage * 1000 - performance.now()));
+    hookErrors.push(await runHook(hook, plan.restore, target));
+    return { injectedAt, restoredAt: performance.now(), hookErrors: hookErrors.filter(Boolean) };
+  })();
+
+  return {
+    cancel() {
+      cancelled = true;
+      clearTimeout(timer);
+      wake?.();
+      return event;
+    }
+  };
+}
+
+const sum = (series, from, to) => {
+  let total = 0;
+  for (let idx = from; idx < to; idx++) total += series[idx] || 0;
+  return total;
+};
+
+// Recovery time, failed ops and throughput dip around one chaos event
+// `end` is when the run finished; the bucket it falls in is partial and ignored.
+export function analyzeChaos(plan, timeline, event, end) {
+  const base = { action: plan.action, outage: plan.outage };
+  if (!event) return { ...base, triggered: false };
+
+  const injected = timeline.index(event.injectedAt);
+  const restored = timeline.index(event.restoredAt);
+  const last = timeline.index(end);
+  const baselineRate = injected > 0 ? (sum(timeline.ok, 0, injected) * 1000) / (injected * timeline.bucket) : null;
+
+  let recovered = null;
+  if (baselineRate) {
+    for (let idx = restored; idx < last; idx++) {
+      if (timeline.rate(idx) >= baselineRate * RECOVERY_RATIO) {
+        recovered = idx;
+        break;
+      }
+    }
+  }
+  // Until recovery (or the end of the run) throughput is still affected
+  const affectedEnd = recovered ?? last;
+  let minRate = Infinity;
+  for (let idx = injected; idx < Math.max(affectedEnd, injected + 1); idx++) {
+    minRate = Math.min(minRate, timeline.rate(idx));
+  }
+  const recoveredAt = recovered === null ? null : timeline.start + recovered * timeline.bucket;
+  const expected = baselineRate ? (baselineRate * (affectedEnd - injected) * timeline.bucket) / 1000 : null;
+
+  const from = Math.max(0, injected - TRACE_MARGIN);
+  const to = Math.min(last, affectedEnd + TRACE_MARGIN);
+  return {
+    ...base,
+    triggered: true,
+    baselineRate: baselineRate === null ? null : Math.round(baselineRate),
+    minRate: Math.round(minRate),
+    dip: baselineRate ? Math.max(0, 1 - minRate / baselineRate) : null,
+    failedOps: sum(timeline.failed, injected, timeline.failed.length),
+    lostOps: expected === null ? null : Math.max(0, Math.round(expected - sum(timeline.ok, injected, affectedEnd))),
+    // From the target coming back (restore hook returned) / going down until throughput recovered
+    recoveryTime: recoveredAt === null ? null : Math.max(0, recoveredAt - event.restoredAt),
+    downtime: recoveredAt === null ? null : recoveredAt - event.injectedAt,
+    hookErrors: event.hookErrors,
+    trace: {
+      bucket: timeline.bucket,
+      offset: (from - injected) * timeline.bucket,
+      rates: Array.from({ length: Math.max(0, to - from) }, (_, idx) => Math.round(timeline.rate(from + idx)))
+    }
+  };
+}
+
+// Fold per-trial chaos results: worst-case recovery and dip, summed failures
+export function aggregateChaos(results) {
+  const triggered = results.filter(result => result.triggered);
+  const { action, outage } = results[0];
+  if (triggered.length === 0) return { action, outage, triggered: false };
+  const worst = field => triggered.some(r => r[field] === null) ? null : Math.max(...triggered.map(r => r[field]));
+  const slowest = triggered.reduce((a, b) => (b.recoveryTime ?? Infinity) > (a.recoveryTime ?? Infinity) ? b : a);
+  const baselines = triggered.map(r => r.baselineRate).filter(rate => rate !== null);
+  return {
+    action,
+    outage,
+    triggered: true,
+    trials: triggered.length,
+    baselineRate: baselines.length ? Math.round(mean(baselines)) : null,
+    minRate: Math.min(...triggered.map(r => r.minRate)),
+    dip: worst('dip'),
+    failedOps: triggered.reduce((total, r) => total + r.failedOps, 0),
+    lostOps: triggered.some(r => r.lostOps === null) ? null : triggered.reduce((total, r) => total + r.lostOps, 0),
+    recoveryTime: worst('recoveryTime'),
+    downtime: worst('downtime'),
+    hookErrors: triggered.flatMap(r => r.hookErrors),
+    trace: slowest.trace
+  };
+}
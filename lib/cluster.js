@@ -0,0 +1,111 @@
+import calculateSlot from 'cluster-key-slot';
+import { exists as knownCommand, getKeyIndexes } from '@ioredis/commands';
+
+// Redis Cluster
+// A target with "cluster" in its config is driven through ioredis' Cluster
+// client, which routes every command to the master owning its key's slot. The
+// suite follows the cluster's rules so the same commands work on both kinds of
+// target:
+//   - keys one command touches together share a {hash tag} (see keyGroup)
+//   - pipelines are split per node and sent in parallel (see pipeline)
+//   - keyspace-wide commands (SCAN, KEYS, DBSIZE, INFO, SCRIPT) fan out to
+//     every master (see masters and fanOut)
+// On a standalone target each of these is the plain single-connection call.
+
+const KEYSPACE_COMMANDS = new Set(['KEYS', 'SCAN', 'DBSIZE', 'INFO', 'SCRIPT']);
+
+// Keys that multi-key commands touch together come from groups of this many
+const KEY_GROUP_SIZE = 100;
+
+// The connections that hold the keyspace: every master, or the client itself
+export function masters(client) {
+  return client.isCluster ? client.nodes('master') : [client];
+}
+
+// Run fn against every master; resolves to their results in order
+export function fanOut(client, fn) {
+  return Promise.all(masters(client).map(fn));
+}
+
+// DBSIZE across the target (summed over a cluster's masters)
+export async function countKeys(client) {
+  return (await fanOut(client, node => node.dbsize())).reduce((sum, count) => sum + count, 0);
+}
+
+// Whether a command only sees one node's share of a cluster's keyspace
+export function isKeyspaceWide(client, command) {
+  return Boolean(client.isCluster) && KEYSPACE_COMMANDS.has(command.toUpperCase());
+}
+
+// One command, fanned out to every master if it is keyspace-wide
+export function sendCommand(client, command, args) {
+  if (isKeyspaceWide(client, command)) return fanOut(client, node => node.call(command, ...args));
+  return client.call(command, ...args);
+}
+
+// `count` keys from one hash-tagged group of a keyspace, e.g. tx:{12}:57
+// Multi-key commands (MULTI blocks, scripts) can't span slots on a cluster, so
+// every key of one call shares the group's tag.
+export function keyGroup(random, prefix, keyspace, count) {
+  const groups = Math.max(1, Math.floor(keyspace / KEY_GROUP_SIZE));
+  const group = Math.floor(random() * groups);
+  const size = Math.min(keyspace, KEY_GROUP_SIZE);
+  return Array.from({ length: count }, () => `${prefix}:{${group}}:${Math.floor(random() * size)}`);
+}
+
+// Queues commands like an ioredis pipeline, then sends one real pipeline per
+// node that owns them (a cluster pipeline can't span nodes). exec() resolves
+// to [[err, result], ...] in queue order, like ioredis.
+class ClusterPipeline {
+  constructor(client) {
+    this.client = client;
+    this.queue = [];
+  }
+
+  call(command, ...args) {
+    this.queue.push([command, args]);
+    return this;
+  }
+
+  // Nodes that serve the slot of the command's first key ('' for keyless commands)
+  owner([command, args]) {
+    const name = command.toLowerCase();
+    const [idx] = knownCommand(name) ? getKeyIndexes(name, args) : [0];
+    if (idx === undefined || args[idx] === undefined) return '';
+    const slot = calculateSlot(`${this.client.options.keyPrefix || ''}${args[idx]}`);
+    return (this.client.slots[slot] || []).join();
+  }
+
+  async exec() {
+    const groups = new Map();
+    this.queue.forEach((entry, idx) => {
+      const owner = this.owner(entry);
+      if (!groups.has(owner)) groups.set(owner, []);
+      groups.get(owner).push(idx);
+    });
+    const replies = new Array(this.queue.length);
+    await Promise.all([...groups.values()].map(async indexes => {
+      const batch = this.client.pipeline();
+      for (const idx of indexes) batch.call(this.queue[idx][0], ...this.queue[idx][1]);
+      try {
+        (await batch.exec()).forEach((reply, i) => { replies[indexes[i]] = reply; });
+      } catch (error) {
+        // The whole node batch failed (e.g. it never connected)
+        for (const idx of indexes) replies[idx] = [error, null];
+      }
+    }));
+    return replies;
+  }
+}
+
+// The pipeline commands the suite queues by name
+for (const method of ['set', 'get', 'del', 'incr', 'lpush', 'hset', 'zadd', 'xadd']) {
+  ClusterPipeline.prototype[method] = function (...args) {
+    return this.call(method, ...args);
+  };
+}
+
+// A pipeline on either kind of client
+export function pipeline(client) {
+  return client.isCluster ? new ClusterPipeline(client) : client.pipeline();
+}
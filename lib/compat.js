@@ -0,0 +1,233 @@
+import fs from 'node:fs';
+import YAML from 'yaml';
+
+// Command compatibility verification
+// Runs a corpus of commands (compat/corpus.yaml) against each target and
+// compares every reply with the reference target's, structurally.
+
+export const DEFAULT_CORPUS = new URL('../compat/corpus.yaml', import.meta.url);
+
+const KEY_PREFIX = 'compat:';
+const COMPARE_MODES = ['exact', 'unordered', 'pairs', 'approx', 'type'];
+const ITERATE_LIMIT = 100000;
+
+// Errors that mean "this server doesn't implement it", as opposed to a different answer
+const UNSUPPORTED = /unknown (sub)?command|not supported|unsupported|not implemented/i;
+
+export const STATUSES = {
+  match: 'Match',
+  diverged: 'Different reply',
+  unsupported: 'Unsupported',
+  'error-mismatch': 'Error message differs'
+};
+
+// Load the corpus: { group: [case, ...] } → flat list of validated cases
+export function loadCorpus(file = DEFAULT_CORPUS) {
+  const raw = YAML.parse(fs.readFileSync(file, 'utf8'));
+  const cases = [];
+
+  for (const [group, entries] of Object.entries(raw || {})) {
+    if (!Array.isArray(entries)) throw new Error(`${file}: group "${group}" must be a list of cases`);
+    entries.forEach((entry, idx) => {
+      const where = `${group}[${idx}]${entry?.name ? ` "${entry.name}"` : ''}`;
+      if (!entry?.name || !Array.isArray(entry.command) || entry.command.length === 0) {
+        throw new Error(`${file}: ${where} needs a name and a non-empty command`);
+      }
+      const compare = entry.compare || 'exact';
+      if (!COMPARE_MODES.includes(compare)) {
+        throw new Error(`${file}: ${where} has unknown compare "${compare}" (use ${COMPARE_MODES.join(', ')})`);
+      }
+      const setup = (entry.setup || []).map(step => Array.isArray(step)
+        ? { command: step.map(String), count: 1 }
+        : { command: step.command.map(String), count: step.count ?? 1 });
+      cases.push({
+        group,
+        name: entry.name,
+        command: entry.command.map(String),
+        setup,
+        compare,
+        tolerance: entry.tolerance ?? 0,
+        iterate: Boolean(entry.iterate)
+      });
+    });
+  }
+  return cases;
+}
+
+// Remove every compat:* key so each case starts from a clean slate
+async function clearKeys(client) {
+  let cursor = '0';
+  do {
+    const [next, keys] = await client.scan(cursor, 'MATCH', `${KEY_PREFIX}*`, 'COUNT', 1000);
+    cursor = next;
+    if (keys.length > 0) await client.del(...keys);
+  } while (cursor !== '0');
+}
+
+async function runSetup(client, setup) {
+  for (const step of setup) {
+    const pipeline = client.pipeline();
+    for (let i = 0; i < step.count; i++) {
+      pipeline.call(...step.command.map(arg => arg.replaceAll('{i}', String(i))));
+    }
+    const results = await pipeline.exec();
+    const failed = results.find(([error]) => error);
+    if (failed) throw failed[0];
+  }
+}
+
+// Follow a SCAN-style cursor; the cursor argument is the one after the key (or the command for SCAN)
+async function iterate(client, command) {
+  const cursorIdx = command[0].toUpperCase() === 'SCAN' ? 1 : 2;
+  const args = [...command];
+  const items = [];
+  let cursor = '0';
+  do {
+    args[cursorIdx] = cursor;
+    const [next, batch] = await client.call(...args);
+    cursor = next;
+    items.push(...batch);
+    if (items.length > ITERATE_LIMIT) throw new Error(`cursor did not terminate after ${ITERATE_LIMIT} items`);
+  } while (cursor !== '0');
+  return items;
+}
+
+// Tag a raw ioredis reply with its RESP type so comparisons are structural
+function normalize(reply) {
+  if (reply === null || reply === undefined) return { type: 'nil' };
+  if (typeof reply === 'number') return { type: 'integer', value: reply };
+  if (Array.isArray(reply)) return { type: 'array', items: reply.map(normalize) };
+  return { type: 'string', value: String(reply) };
+}
+
+// Run one case; returns { reply } or { error }
+async function runCase(client, testCase) {
+  await clearKeys(client);
+  try {
+    await runSetup(client, testCase.setup);
+  } catch (error) {
+    return { setupError: error.message };
+  }
+  try {
+    const reply = testCase.iterate ? await iterate(client, testCase.command) : await client.call(...testCase.command);
+    return { reply: normalize(reply) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Run the whole corpus against one client, calling onProgress after each case
+export async function runCorpus(client, cases, onProgress = () => {}) {
+  const outcomes = [];
+  for (const [idx, testCase] of cases.entries()) {
+    outcomes.push(await runCase(client, testCase));
+    onProgress(idx + 1, cases.length);
+  }
+  await clearKeys(client);
+  return outcomes;
+}
+
+const sortKey = value => JSON.stringify(value);
+
+// Items grouped into [field, value] pairs (HGETALL, HSCAN, ZSCAN)
+function toPairs(items) {
+  const pairs = [];
+  for (let i = 0; i < items.length; i += 2) pairs.push({ type: 'array', items: items.slice(i, i + 2) });
+  return pairs;
+}
+
+// Bring a reply into the shape that `compare` treats as canonical
+function canonical(reply, testCase) {
+  if (reply.type !== 'array') return reply;
+  let items = reply.items;
+  if (testCase.compare === 'pairs') items = toPairs(items);
+  if (testCase.iterate || testCase.compare === 'unordered' || testCase.compare === 'pairs') {
+    // SCAN may return an element more than once; only the set of elements is guaranteed
+    const unique = testCase.iterate ? [...new Map(items.map(item => [sortKey(item), item])).values()] : items;
+    items = unique.sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+  }
+  return { type: 'array', items };
+}
+
+function sameReply(expected, actual, testCase) {
+  if (testCase.compare === 'type') return expected.type === actual.type;
+  if (testCase.compare === 'approx' && expected.type === 'integer' && actual.type === 'integer') {
+    return Math.abs(expected.value - actual.value) <= testCase.tolerance;
+  }
+  return sortKey(canonical(expected, testCase)) === sortKey(canonical(actual, testCase));
+}
+
+// Short printable form of an outcome
+export function describeOutcome(outcome) {
+  if (outcome.setupError) return `setup failed: ${outcome.setupError}`;
+  if (outcome.error !== undefined) return `(error) ${outcome.error}`;
+  const show = reply => {
+    if (reply.type === 'nil') return '(nil)';
+    if (reply.type === 'integer') return `(integer) ${reply.value}`;
+    if (reply.type === 'string') return JSON.stringify(reply.value);
+    return `[${reply.items.map(show).join(', ')}]`;
+  };
+  return show(outcome.reply);
+}
+
+// First word of an error, e.g. "ERR", "WRONGTYPE"
+const errorCode = message => message.split(' ')[0];
+
+// Classify one target's outcome against the reference outcome
+export function compareOutcome(expected, actual, testCase) {
+  const failure = actual.setupError ?? actual.error;
+  if (failure !== undefined && UNSUPPORTED.test(failure) && !UNSUPPORTED.test(expected.setupError ?? expected.error ?? '')) {
+    return { status: 'unsupported' };
+  }
+  if (expected.setupError !== undefined || actual.setupError !== undefined) {
+    return expected.setupError !== undefined && actual.setupError !== undefined
+      ? { status: 'match' }
+      : { status: 'diverged' };
+  }
+  if (expected.error !== undefined && actual.error !== undefined) {
+    if (expected.error === actual.error) return { status: 'match' };
+    // Same error class, different wording: compatible for most clients, but worth knowing
+    return { status: 'error-mismatch', sameCode: errorCode(expected.error) === errorCode(actual.error) };
+  }
+  if (expected.error !== undefined || actual.error !== undefined) return { status: 'diverged' };
+  return { status: sameReply(expected.reply, actual.reply, testCase) ? 'match' : 'diverged' };
+}
+
+// Compare every target with the reference and tally a group × target matrix
+export function buildReport(cases, outcomes, targets, reference) {
+  const others = targets.filter(t => t.name !== reference.name);
+  const rows = cases.map((testCase, idx) => ({
+    group: testCase.group,
+    name: testCase.name,
+    command: testCase.command.join(' '),
+    expected: describeOutcome(outcomes[reference.name][idx]),
+    results: Object.fromEntries(others.map(target => {
+      const outcome = outcomes[target.name][idx];
+      const comparison = compareOutcome(outcomes[reference.name][idx], outcome, testCase);
+      return [target.name, { ...comparison, actual: describeOutcome(outcome) }];
+    }))
+  }));
+
+  const matrix = {};
+  for (const row of rows) {
+    matrix[row.group] ||= Object.fromEntries(others.map(t => [t.name, { total: 0, ...Object.fromEntries(Object.keys(STATUSES).map(s => [s, 0])) }]));
+    for (const [name, result] of Object.entries(row.results)) {
+      matrix[row.group][name].total++;
+      matrix[row.group][name][result.status]++;
+    }
+  }
+
+  const totals = Object.fromEntries(others.map(target => {
+    const matched = rows.filter(row => row.results[target.name].status === 'match').length;
+    return [target.name, { total: rows.length, match: matched, percent: rows.length ? (matched / rows.length) * 100 : 100 }];
+  }));
+
+  return {
+    timestamp: new Date().toISOString(),
+    reference: reference.name,
+    targets: targets.map(({ name, label, host, port, db }) => ({ name, label, host, port, db })),
+    totals,
+    matrix,
+    cases: rows
+  };
+}
@@ -0,0 +1,161 @@
+// Test data generation
+// Everything random goes through a seeded PRNG so two runs with the same seed
+// send identical command streams to every target.
+
+// cyrb128: hash a seed string into four 32-bit words
+function hashSeed(seed) {
+  let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+  const text = String(seed);
+  for (let i = 0; i < text.length; i++) {
+    const k = text.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+  return [(h1 ^ h2 ^ h3 ^ h4) >>> 0, (h2 ^ h1) >>> 0, (h3 ^ h1) >>> 0, (h4 ^ h1) >>> 0];
+}
+
+// Seeded PRNG (sfc32): returns a Math.random-compatible function
+export function createRandom(seed) {
+  let [a, b, c, d] = hashSeed(seed);
+  const random = () => {
+    a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0;
+    let t = (a + b) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    d = (d + 1) | 0;
+    t = (t + d) | 0;
+    c = (c + t) | 0;
+    return (t >>> 0) / 4294967296;
+  };
+  // Discard the first outputs; sfc32 needs a few rounds to mix short seeds
+  for (let i = 0; i < 15; i++) random();
+  return random;
+}
+
+// A fresh seed for runs that don't ask for one (recorded so the run can be replayed)
+export function randomSeed() {
+  return String(Math.floor(Math.random() * 2 ** 32));
+}
+
+// Generate random string of specified length
+export function generateValue(size, random = Math.random) {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  let result = '';
+  for (let i = 0; i < size; i++) {
+    result += chars.charAt(Math.floor(random() * chars.length));
+  }
+  return result;
+}
+
+// ============================================
+// Key access distributions
+// ============================================
+
+export const DISTRIBUTIONS = ['uniform', 'zipfian', 'hotspot', 'sequential', 'latest'];
+
+// Parse "zipfian:0.99", "hotspot:0.2:0.8" or { type, skew, hotFraction, hotOpsFraction }
+export function parseDistribution(spec = 'sequential') {
+  const [type, a, b] = typeof spec === 'string' ? spec.split(':') : [spec.type, spec.skew ?? spec.hotFraction, spec.hotOpsFraction];
+  if (!DISTRIBUTIONS.includes(type)) {
+    throw new Error(`Unknown key distribution "${type}" (use ${DISTRIBUTIONS.join(', ')})`);
+  }
+
+  const dist = { type };
+  if (type === 'zipfian' || type === 'latest') {
+    dist.skew = a === undefined ? 0.99 : Number(a);
+    if (!(dist.skew > 0 && dist.skew < 1)) {
+      throw new Error(`${type} skew must be between 0 and 1 exclusive (got ${a})`);
+    }
+  }
+  if (type === 'hotspot') {
+    dist.hotFraction = a === undefined ? 0.2 : Number(a);
+    dist.hotOpsFraction = b === undefined ? 0.8 : Number(b);
+    if (!(dist.hotFraction > 0 && dist.hotFraction < 1) || !(dist.hotOpsFraction >= 0 && dist.hotOpsFraction <= 1)) {
+      throw new Error(`hotspot expects hotFraction in (0, 1) and hotOpsFraction in [0, 1] (got ${a}, ${b})`);
+    }
+  }
+  return dist;
+}
+
+export function formatDistribution(dist) {
+  if (dist.type === 'zipfian' || dist.type === 'latest') return `${dist.type}:${dist.skew}`;
+  if (dist.type === 'hotspot') return `hotspot:${dist.hotFraction}:${dist.hotOpsFraction}`;
+  return dist.type;
+}
+
+const zetaCache = new Map();
+
+function zeta(n, theta) {
+  const cacheKey = `${n}:${theta}`;
+  if (!zetaCache.has(cacheKey)) {
+    let sum = 0;
+    for (let i = 1; i <= n; i++) sum += 1 / Math.pow(i, theta);
+    zetaCache.set(cacheKey, sum);
+  }
+  return zetaCache.get(cacheKey);
+}
+
+// Zipfian over [0, n) with rank 0 hottest (Gray et al., as used by YCSB)
+function createZipfian(n, theta, random) {
+  const zetan = zeta(n, theta);
+  const zeta2 = zeta(2, theta);
+  const alpha = 1 / (1 - theta);
+  const eta = (1 - Math.pow(2 / n, 1 - theta)) / (1 - zeta2 / zetan);
+  return () => {
+    const u = random();
+    const uz = u * zetan;
+    if (uz < 1) return 0;
+    if (uz < 1 + Math.pow(0.5, theta)) return Math.min(1, n - 1);
+    return Math.min(n - 1, Math.floor(n * Math.pow(eta * u - eta + 1, alpha)));
+  };
+}
+
+// Key index chooser for one client
+//   next()   - index of an existing key to access
+//   insert() - index of a brand-new key (beyond the initial keyspace)
+// Inserted keys are interleaved across clients so they never collide, and
+// "latest" favours the most recently inserted ones.
+export function createKeyChooser(dist, keyspace, random, clientIdx = 0, clients = 1) {
+  let inserted = 0;
+  const insert = () => keyspace + clientIdx + clients * inserted++;
+  const known = () => keyspace + clients * inserted;
+
+  switch (dist.type) {
+    case 'uniform':
+      return { next: () => Math.floor(random() * keyspace), insert };
+
+    case 'zipfian': {
+      const zipf = createZipfian(keyspace, dist.skew, random);
+      return { next: zipf, insert };
+    }
+
+    case 'hotspot': {
+      const hotKeys = Math.max(1, Math.floor(keyspace * dist.hotFraction));
+      const coldKeys = keyspace - hotKeys;
+      return {
+        next: () => random() < dist.hotOpsFraction || coldKeys === 0
+          ? Math.floor(random() * hotKeys)
+          : hotKeys + Math.floor(random() * coldKeys),
+        insert
+      };
+    }
+
+    case 'latest': {
+      const zipf = createZipfian(keyspace, dist.skew, random);
+      return { next: () => Math.max(0, known() - 1 - zipf()), insert };
+    }
+
+    case 'sequential':
+    default: {
+      let cursor = clientIdx * Math.floor(keyspace / clients);
+      return { next: () => cursor++ % keyspace, insert };
+    }
+  }
+}
@@ -0,0 +1,78 @@
+// Per-operation error counting
+// A failed command is counted by kind instead of failing the whole run, so a
+// target that times out, refuses writes or drops connections still produces
+// results — with the failures next to them.
+
+// Kinds in display order
+export const ERROR_KINDS = ['timeout', 'connection', 'auth', 'readonly', 'oom', 'loading', 'other'];
+
+const CONNECTION_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENOTCONN']);
+
+// Sort an ioredis error into one of ERROR_KINDS
+export function classifyError(error) {
+  const message = String(error?.message || error);
+  if (/command timed out/i.test(message)) return 'timeout';
+  if (CONNECTION_CODES.has(error?.code) || error?.name === 'MaxRetriesPerRequestError' ||
+    /connection is closed|stream isn't writeable|enableOfflineQueue/i.test(message)) {
+    return 'connection';
+  }
+  // Bad credentials, or an ACL user without permission for the command or key
+  if (/^(NOAUTH|WRONGPASS|NOPERM)/.test(message)) return 'auth';
+  if (message.startsWith('READONLY')) return 'readonly';
+  if (message.startsWith('OOM')) return 'oom';
+  if (message.startsWith('LOADING')) return 'loading';
+  return 'other';
+}
+
+export class ErrorCounter {
+  constructor() {
+    this.counts = Object.fromEntries(ERROR_KINDS.map(kind => [kind, 0]));
+    this.total = 0;
+    this.examples = {};
+  }
+
+  // Count `times` failed operations; the first message of each kind is kept
+  record(error, times = 1) {
+    const kind = classifyError(error);
+    this.counts[kind] += times;
+    this.total += times;
+    this.examples[kind] ??= String(error?.message || error);
+  }
+
+  // Count the failed commands in a pipeline or MULTI/EXEC reply ([[err, result], ...]),
+  // which resolves even when some of its commands failed. Hands the reply back.
+  recordReplies(replies) {
+    if (!Array.isArray(replies)) return replies;
+    for (const reply of replies) {
+      if (Array.isArray(reply) && reply[0] instanceof Error) this.record(reply[0]);
+    }
+    return replies;
+  }
+
+  merge(other) {
+    for (const kind of ERROR_KINDS) this.counts[kind] += other.counts[kind] || 0;
+    this.total += other.total;
+    for (const [kind, message] of Object.entries(other.examples)) this.examples[kind] ??= message;
+    return this;
+  }
+
+  // Counts per kind, plus one example message per kind seen
+  summary() {
+    return { total: this.total, ...this.counts, ...(this.total > 0 && { examples: { ...this.examples } }) };
+  }
+}
+
+// Sum error summaries (e.g. across trials)
+export function mergeErrorSummaries(summaries) {
+  const merged = new ErrorCounter();
+  for (const summary of summaries) {
+    if (!summary) continue;
+    merged.merge({ counts: summary, total: summary.total, examples: summary.examples || {} });
+  }
+  return merged.summary();
+}
+
+// "3 timeout, 12 connection"
+export function describeErrors(errors) {
+  return ERROR_KINDS.filter(kind => errors[kind] > 0).map(kind => `${errors[kind].toLocaleString()} ${kind}`).join(', ');
+}
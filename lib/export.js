@@ -0,0 +1,161 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { renderReport } from './report.js';
+
+const FORMATS = ['json', 'csv', 'junit', 'html'];
+const EXTENSIONS = { '.json': 'json', '.csv': 'csv', '.xml': 'junit', '.html': 'html', '.htm': 'html' };
+
+// Structured, display-free description of one benchmark run
+export function buildRunRecord({ startedAt, targets, benchmarks, parameters = {} }) {
+  return {
+    timestamp: startedAt.toISOString(),
+    durationMs: Date.now() - startedAt.getTime(),
+    environment: {
+      node: process.version,
+      platform: process.platform,
+      arch: process.arch,
+      cpus: os.cpus().length,
+      hostname: os.hostname()
+    },
+    parameters,
+    targets: targets.map(({ name, label, host, port, db, color }) => ({ name, label, host, port, db, color })),
+    benchmarks: benchmarks.map(({ id, name, detail, params, results, verdict, sweep }) => ({
+      id,
+      name,
+      detail,
+      params,
+      ...(sweep && { sweep }),
+      verdict,
+      results: Object.fromEntries(Object.entries(results).map(([target, result]) => [target, {
+        opsPerSecond: result.opsPerSecond,
+        totalOps: result.totalOps,
+        durationMs: result.duration,
+        throughput: result.throughput,
+        latency: result.latency,
+        errors: result.errors,
+        ...(result.chaos && { chaos: result.chaos }),
+        ...(result.openLoop && { serviceTime: result.serviceTime, openLoop: result.openLoop }),
+        ...(result.delivery && { delivery: result.delivery }),
+        ...(result.streams && { streams: result.streams }),
+        ...(result.locking && { locking: result.locking }),
+        ...(result.loadGenerator && { loadGenerator: result.loadGenerator }),
+        ...(result.replay && { replay: result.replay }),
+        ...(result.server && { server: result.server, dataset: result.dataset })
+      }]))
+    }))
+  };
+}
+
+// Resolve an --output spec: "format:path" or a path whose extension names the format
+export function parseOutputSpec(spec) {
+  const match = /^(\w+):(.+)$/.exec(spec);
+  if (match && FORMATS.includes(match[1])) {
+    return { format: match[1], path: match[2] };
+  }
+  const format = EXTENSIONS[path.extname(spec).toLowerCase()];
+  if (!format) {
+    throw new Error(`Cannot tell output format for "${spec}" (use json:, csv:, junit: or html: prefix)`);
+  }
+  return { format, path: spec };
+}
+
+export function toJSON(run) {
+  return JSON.stringify(run, null, 2) + '\n';
+}
+
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per benchmark and target
+export function toCSV(run) {
+  const header = [
+    'timestamp', 'benchmark_id', 'benchmark', 'target', 'host', 'port', 'db',
+    'ops_per_sec', 'total_ops', 'duration_ms',
+    'p50_ms', 'p90_ms', 'p99_ms', 'p999_ms', 'max_ms', 'mean_ms', 'params', 'errors'
+  ];
+  const rows = [header];
+
+  for (const benchmark of run.benchmarks) {
+    const params = Object.entries(benchmark.params || {}).map(([k, v]) => `${k}=${v}`).join(';');
+    for (const target of run.targets) {
+      const result = benchmark.results[target.name];
+      if (!result) continue;
+      const { latency } = result;
+      rows.push([
+        run.timestamp, benchmark.id, benchmark.name, target.name, target.host, target.port, target.db,
+        result.opsPerSecond, result.totalOps, result.durationMs.toFixed(3),
+        latency.p50, latency.p90, latency.p99, latency.p999, latency.max, latency.mean.toFixed(3),
+        params, result.errors?.total
+      ]);
+    }
+  }
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// One <testsuite> per target, one <testcase> per benchmark
+// Baseline regressions (see baseline.js) are reported as test failures
+export function toJUnit(run) {
+  const regressions = (run.comparison?.rows || []).filter(row => row.status === 'regression');
+
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  const totalTests = run.benchmarks.length * run.targets.length;
+  lines.push(`<testsuites name="redis-dragonfly-benchmark" tests="${totalTests}" time="${(run.durationMs / 1000).toFixed(3)}" timestamp="${run.timestamp}">`);
+
+  for (const target of run.targets) {
+    const cases = run.benchmarks.filter(b => b.results[target.name]);
+    const time = cases.reduce((sum, b) => sum + b.results[target.name].durationMs, 0) / 1000;
+    const failed = cases.filter(b => regressions.some(row => row.benchmark === b.id && row.target === target.name));
+    lines.push(`  <testsuite name="${xmlEscape(target.label)}" tests="${cases.length}" failures="${failed.length}" errors="0" time="${time.toFixed(3)}" timestamp="${run.timestamp}">`);
+    lines.push('    <properties>');
+    lines.push(`      <property name="target" value="${xmlEscape(`${target.host}:${target.port}/${target.db}`)}"/>`);
+    lines.push('    </properties>');
+
+    for (const benchmark of cases) {
+      const result = benchmark.results[target.name];
+      const { latency } = result;
+      lines.push(`    <testcase classname="${xmlEscape(`${target.name}.${benchmark.id}`)}" name="${xmlEscape(`${benchmark.name} (${benchmark.detail})`)}" time="${(result.durationMs / 1000).toFixed(3)}">`);
+      lines.push('      <properties>');
+      for (const [key, value] of Object.entries(benchmark.params || {})) {
+        lines.push(`        <property name="param.${xmlEscape(key)}" value="${xmlEscape(value)}"/>`);
+      }
+      lines.push(`        <property name="ops_per_sec" value="${result.opsPerSecond}"/>`);
+      if (result.errors) lines.push(`        <property name="errors" value="${result.errors.total}"/>`);
+      for (const key of ['p50', 'p90', 'p99', 'p999', 'max']) {
+        lines.push(`        <property name="${key}_ms" value="${latency[key]}"/>`);
+      }
+      lines.push('      </properties>');
+      for (const row of regressions.filter(r => r.benchmark === benchmark.id && r.target === target.name)) {
+        const message = `${row.metricLabel} regressed ${Math.abs(row.change).toFixed(1)}% vs baseline ${run.comparison.baseline} (tolerance ${row.tolerance}%)`;
+        lines.push(`      <failure type="regression" message="${xmlEscape(message)}">${xmlEscape(`baseline ${row.baseline}, current ${row.current}`)}</failure>`);
+      }
+      lines.push(`      <system-out>${xmlEscape(`${result.opsPerSecond} ops/sec, ${result.totalOps} ops, p50 ${latency.p50}ms, p99 ${latency.p99}ms, max ${latency.max}ms`)}</system-out>`);
+      lines.push('    </testcase>');
+    }
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+const SERIALIZERS = { json: toJSON, csv: toCSV, junit: toJUnit, html: renderReport };
+
+// Write a run record to disk in the format named by `spec`
+export function writeRunRecord(run, spec) {
+  const { format, path: file } = parseOutputSpec(spec);
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, SERIALIZERS[format](run));
+  return { format, path: file };
+}
@@ -0,0 +1,116 @@
+// HDR-style latency histogram
+// Values are recorded in milliseconds and stored as integer microseconds in
+// log-linear buckets: exact below 2048µs, then 1024 sub-buckets per power of
+// two, which keeps ~3 significant digits across the whole range.
+const SUB_BUCKET_BITS = 10;
+const SUB_BUCKET_COUNT = 1 << (SUB_BUCKET_BITS + 1);
+
+// Lowest value that shares a bucket with `micros`
+function bucketFloor(micros) {
+  if (micros < SUB_BUCKET_COUNT) return micros;
+  const shift = Math.floor(Math.log2(micros)) - SUB_BUCKET_BITS;
+  return Math.floor(micros / 2 ** shift) * 2 ** shift;
+}
+
+// Highest value that shares a bucket with `floor`
+function bucketCeiling(floor) {
+  if (floor < SUB_BUCKET_COUNT) return floor;
+  const shift = Math.floor(Math.log2(floor)) - SUB_BUCKET_BITS;
+  return floor + 2 ** shift - 1;
+}
+
+export class Histogram {
+  constructor() {
+    this.counts = new Map();
+    this.count = 0;
+    this.sum = 0;
+    this.min = Infinity;
+    this.max = 0;
+  }
+
+  // Record one latency sample in milliseconds
+  record(ms, times = 1) {
+    const micros = Math.max(0, Math.round(ms * 1000));
+    const floor = bucketFloor(micros);
+    this.counts.set(floor, (this.counts.get(floor) || 0) + times);
+    this.count += times;
+    this.sum += micros * times;
+    this.min = Math.min(this.min, micros);
+    this.max = Math.max(this.max, micros);
+  }
+
+  // Fold another histogram's samples into this one
+  merge(other) {
+    for (const [floor, count] of other.counts) {
+      this.counts.set(floor, (this.counts.get(floor) || 0) + count);
+    }
+    this.count += other.count;
+    this.sum += other.sum;
+    this.min = Math.min(this.min, other.min);
+    this.max = Math.max(this.max, other.max);
+    return this;
+  }
+
+  // Value (ms) at or below which `percentile` percent of samples fall
+  percentile(percentile) {
+    return this.percentiles([percentile])[0];
+  }
+
+  percentiles(list) {
+    if (this.count === 0) return list.map(() => 0);
+
+    const floors = [...this.counts.keys()].sort((a, b) => a - b);
+    const out = [];
+    let seen = 0;
+    let idx = 0;
+
+    for (const percentile of list) {
+      const target = Math.max(1, Math.ceil((percentile / 100) * this.count));
+      while (idx < floors.length && seen + this.counts.get(floors[idx]) < target) {
+        seen += this.counts.get(floors[idx]);
+        idx++;
+      }
+      const floor = floors[Math.min(idx, floors.length - 1)];
+      out.push(Math.min(bucketCeiling(floor), this.max) / 1000);
+    }
+    return out;
+  }
+
+  // Percentile summary used by result tables, charts and exports
+  summary() {
+    const [p50, p90, p99, p999] = this.percentiles([50, 90, 99, 99.9]);
+    return {
+      count: this.count,
+      mean: this.count ? this.sum / this.count / 1000 : 0,
+      min: this.count ? this.min / 1000 : 0,
+      p50,
+      p90,
+      p99,
+      p999,
+      max: this.max / 1000
+    };
+  }
+}
+
+// Time an async operation into a histogram and hand back its result
+// With an ErrorCounter (see errors.js) a failed operation is counted instead of
+// timed, and resolves to undefined rather than rejecting.
+export async function timed(histogram, fn, errors) {
+  const start = performance.now();
+  try {
+    const result = await fn();
+    histogram.record(performance.now() - start);
+    return result;
+  } catch (error) {
+    if (!errors) throw error;
+    errors.record(error);
+    return undefined;
+  }
+}
+
+// Format a latency in milliseconds for tables and charts
+export function formatLatency(ms) {
+  if (ms >= 1000) return `${(ms / 1000).toFixed(2)}s`;
+  if (ms >= 10) return `${ms.toFixed(1)}ms`;
+  return `${ms.toFixed(2)}ms`;
+}
@@ -0,0 +1,89 @@
+import fs from 'node:fs';
+import http from 'node:http';
+
+// Browser view of the live dashboard
+// A small HTTP server: GET / serves web/live.html, GET /events is a
+// Server-Sent Events stream of the same events the dashboard records (see
+// session.js). A browser that connects late first receives the history since
+// the current workload started, so its charts fill in straight away.
+
+const PAGE = new URL('../web/live.html', import.meta.url);
+const HISTORY_LIMIT = 5000;
+const KEEPALIVE_INTERVAL = 15000;
+
+// "8080", ":8080" or "host:8080"; a bare port listens on every interface
+export function parseListenSpec(spec) {
+  const match = /^(?:(.*):)?(\d+)$/.exec(String(spec).trim());
+  if (!match) throw new Error(`Invalid --serve "${spec}" (expected [host:]port)`);
+  return { host: match[1] || '0.0.0.0', port: Number(match[2]) };
+}
+
+// Start serving; resolves to { url, broadcast(type, data), clientCount, close() }
+export async function startLiveServer(spec, { title, targets }) {
+  const { host, port } = parseListenSpec(spec);
+  const page = fs.readFileSync(PAGE, 'utf8');
+  const started = performance.now();
+  const session = {
+    type: 'session',
+    title,
+    startedAt: new Date().toISOString(),
+    targets: targets.map(({ name, label, host, port, db, color }) => ({ name, label, host, port, db, color }))
+  };
+  const clients = new Set();
+  let history = [];
+
+  const send = (res, event) => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET') {
+      res.writeHead(405, { Allow: 'GET' }).end();
+    } else if (pathname === '/') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' }).end(page);
+    } else if (pathname === '/events') {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-store',
+        Connection: 'keep-alive'
+      });
+      send(res, session);
+      for (const event of history) send(res, event);
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found\n');
+    }
+  });
+
+  // Comments keep idle connections from being dropped by proxies
+  const keepalive = setInterval(() => {
+    for (const res of clients) res.write(': keepalive\n\n');
+  }, KEEPALIVE_INTERVAL);
+  keepalive.unref();
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const shown = host === '0.0.0.0' || host === '::' ? 'localhost' : host;
+  return {
+    url: `http://${shown.includes(':') ? `[${shown}]` : shown}:${server.address().port}/`,
+    broadcast(type, data = {}) {
+      const event = { t: Math.round(performance.now() - started), type, ...data };
+      // A new workload starts a new chart; older history is no use to late joiners
+      if (type === 'workload') history = [];
+      history.push(event);
+      if (history.length > HISTORY_LIMIT) history.shift();
+      for (const res of clients) send(res, event);
+    },
+    get clientCount() {
+      return clients.size;
+    },
+    close() {
+      clearInterval(keepalive);
+      for (const res of clients) res.end();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
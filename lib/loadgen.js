@@ -0,0 +1,212 @@
+import os from 'node:os';
+import { fork } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { Worker } from 'node:worker_threads';
+import { monitorEventLoopDelay } from 'node:perf_hooks';
+import { Histogram, formatLatency } from './histogram.js';
+import { ErrorCounter } from './errors.js';
+import { Timeline } from './chaos.js';
+
+// Load generation
+// A run's connections normally share one event loop, so at high rates the
+// numbers describe ioredis and V8 rather than the server. --workers N splits
+// a workload's clients over N worker threads (or child processes with
+// --worker-mode process): each worker connects its share, starts on a common
+// signal and reports its histograms, errors and event-loop load back here to
+// be merged. Every workload run, with workers or without, watches the load
+// generator's CPU and event-loop lag and flags the runs where the client side
+// was the limit.
+
+export const WORKER_MODES = ['thread', 'process'];
+
+// A loop this busy, or running its timers this late (ms), can't keep up with its clients
+export const SATURATED_UTILIZATION = 0.9;
+export const SATURATED_LAG = 50;
+// Share of the machine's cores the load generator may use before it counts as CPU-bound
+const SATURATED_CPU = 0.9;
+
+// Workers get the start signal this far (ms) ahead, so they all begin together
+const START_DELAY = 50;
+const LAG_RESOLUTION = 10;
+
+const WORKER_FILE = new URL('./worker.js', import.meta.url);
+
+// Validate --workers and --worker-mode
+export function createWorkerPlan({ count, mode = 'thread' }) {
+  if (!(Number.isInteger(Number(count)) && Number(count) > 0)) {
+    throw new Error(`--workers must be a positive integer (got "${count}")`);
+  }
+  if (!WORKER_MODES.includes(mode)) {
+    throw new Error(`Invalid --worker-mode "${mode}" (expected ${WORKER_MODES.join(' or ')})`);
+  }
+  return { count: Number(count), mode };
+}
+
+// "4 worker threads", "1 worker process"
+export function describeWorkers(count, mode) {
+  return `${count} worker ${mode}${count === 1 ? '' : mode === 'process' ? 'es' : 's'}`;
+}
+
+// Watch this thread's event loop and this process' CPU until stop(), which
+// returns { utilization, lagP99, lagMax, cpu }: the share of time the loop was
+// busy, how late (ms) its timers ran, and CPU time in cores
+export function startLoadMonitor() {
+  const delay = monitorEventLoopDelay({ resolution: LAG_RESOLUTION });
+  delay.enable();
+  const loop = performance.eventLoopUtilization();
+  const cpu = process.cpuUsage();
+  const start = performance.now();
+  return {
+    stop() {
+      delay.disable();
+      const elapsed = performance.now() - start;
+      const { user, system } = process.cpuUsage(cpu);
+      // The delay histogram counts the timer's own resolution as well
+      const lag = ns => delay.count > 0 ? Math.max(0, ns / 1e6 - LAG_RESOLUTION) : 0;
+      return {
+        utilization: performance.eventLoopUtilization(loop).utilization,
+        lagP99: lag(delay.percentile(99)),
+        lagMax: lag(delay.max),
+        cpu: elapsed > 0 ? (user + system) / 1000 / elapsed : 0
+      };
+    }
+  };
+}
+
+// Client index ranges { first, count } for each worker, as even as possible
+// (never more workers than clients)
+function shareClients(clients, workers) {
+  const size = Math.min(clients, workers);
+  return Array.from({ length: size }, (_, idx) => {
+    const first = Math.floor((idx * clients) / size);
+    return { first, count: Math.floor(((idx + 1) * clients) / size) - first };
+  });
+}
+
+// Start one worker thread or child process on `job`
+// `ready` and `done` resolve to the worker's replies of that type, and reject
+// if it reports an error or exits early.
+function spawnWorker(mode, job) {
+  const channel = mode === 'process'
+    ? fork(fileURLToPath(WORKER_FILE), [], { serialization: 'advanced', stdio: ['ignore', 'inherit', 'inherit', 'ipc'] })
+    : new Worker(WORKER_FILE);
+  const replies = {};
+  const settle = {};
+  for (const type of ['ready', 'done']) {
+    replies[type] = new Promise((resolve, reject) => { settle[type] = { resolve, reject }; });
+    // Whoever is waiting sees the failure; the other reply's rejection is expected
+    replies[type].catch(() => {});
+  }
+  const fail = error => Object.values(settle).forEach(({ reject }) => reject(error));
+
+  channel.on('message', message => {
+    if (message.type === 'error') fail(new Error(`Load worker: ${message.message}`));
+    else settle[message.type]?.resolve(message);
+  });
+  channel.on('error', fail);
+  const exited = new Promise(resolve => channel.on('exit', code => {
+    fail(new Error(`Load worker exited with code ${code}`));
+    resolve();
+  }));
+
+  const send = message => mode === 'process' ? channel.send(message) : channel.postMessage(message);
+  send({ type: 'prepare', ...job });
+  return {
+    ...replies,
+    exited,
+    send,
+    stop: () => mode === 'process' ? channel.kill() : channel.terminate()
+  };
+}
+
+// Fold the workers' reports into one set of stats, as driveClients() returns them
+function mergeReports(reports, start, timeline) {
+  const stats = { latency: new Histogram(), serviceTime: new Histogram(), errors: new ErrorCounter(), commands: 0, requests: 0, maxSendLag: 0 };
+  if (timeline) stats.timeline = new Timeline(start);
+  for (const report of reports) {
+    stats.latency.merge(report.stats.latency);
+    stats.serviceTime.merge(report.stats.serviceTime);
+    stats.errors.merge(report.stats.errors);
+    stats.commands += report.stats.commands;
+    stats.requests += report.stats.requests;
+    stats.maxSendLag = Math.max(stats.maxSendLag, report.stats.maxSendLag);
+    stats.timeline?.merge(report.stats.timeline);
+  }
+  return stats;
+}
+
+// Spawn the workers for one workload run and connect their clients
+// Resolves once every worker is ready, to { size, start(), finish() }. start()
+// signals a start time a moment ahead and returns it (this thread's
+// performance.now() clock); finish() resolves to { counts, stats, end, loads }
+// once all are done, with `loads` holding each worker's load monitor reading.
+export async function startWorkers(workload, target, seed, plan, { timeline = false } = {}) {
+  const workers = shareClients(workload.clients, plan.count)
+    .map(share => spawnWorker(plan.mode, { workload, target, seed, timeline, ...share }));
+  const stopAll = error => {
+    workers.forEach(worker => worker.stop());
+    throw error;
+  };
+  await Promise.all(workers.map(worker => worker.ready)).catch(stopAll);
+
+  let start;
+  return {
+    size: workers.length,
+    start() {
+      start = performance.now() + START_DELAY;
+      // Clocks differ between threads and processes; the epoch time doesn't
+      workers.forEach(worker => worker.send({ type: 'start', at: performance.timeOrigin + start }));
+      return start;
+    },
+    async finish() {
+      const reports = await Promise.all(workers.map(worker => worker.done)).catch(stopAll);
+      await Promise.all(workers.map(worker => worker.exited));
+      return {
+        counts: reports.flatMap(report => report.counts),
+        stats: mergeReports(reports, start, timeline),
+        end: Math.max(...reports.map(report => report.finishedAt)) - performance.timeOrigin,
+        loads: reports.map(report => report.load)
+      };
+    }
+  };
+}
+
+// How hard the load generator worked during one run
+// `main` is this thread's monitor reading, `workers` the workers' readings (none
+// without a plan). The event loops driving clients are judged: the workers', or
+// this one's when it drove them itself.
+export function summarizeLoad(plan, main, workers = []) {
+  const loops = plan ? workers : [main];
+  // Worker threads live in this process, whose CPU time already includes theirs
+  const cpu = main.cpu + (plan?.mode === 'process' ? workers.reduce((sum, load) => sum + load.cpu, 0) : 0);
+  const cores = os.availableParallelism();
+  const utilization = Math.max(...loops.map(load => load.utilization));
+  const lagP99 = Math.max(...loops.map(load => load.lagP99));
+  const lagMax = Math.max(...loops.map(load => load.lagMax));
+  return withVerdict({ mode: plan ? plan.mode : 'inline', workers: plan ? workers.length : 0, cpu, cores, utilization, lagP99, lagMax });
+}
+
+// Add `saturated` and the `reasons` for it to a load summary
+function withVerdict(load) {
+  const reasons = [];
+  if (load.utilization >= SATURATED_UTILIZATION) reasons.push(`event loop ${Math.round(load.utilization * 100)}% busy`);
+  if (load.lagP99 >= SATURATED_LAG) reasons.push(`loop lag p99 ${formatLatency(load.lagP99)}`);
+  if (load.cpu >= load.cores * SATURATED_CPU) reasons.push(`CPU ${load.cpu.toFixed(1)}/${load.cores} cores`);
+  return { ...load, saturated: reasons.length > 0, reasons };
+}
+
+// Warning for a saturated run, with what might help
+export function describeSaturation(load) {
+  const cpuBound = load.cpu >= load.cores * SATURATED_CPU;
+  const hint = cpuBound
+    ? 'the client machine is out of CPU'
+    : load.mode === 'inline' ? 'try --workers' : 'try more --workers';
+  return `load generator saturated (${load.reasons.join(', ')}; ${hint})`;
+}
+
+// Fold per-trial load summaries: the peak of each figure across trials
+export function aggregateLoad(loads) {
+  const peak = field => Math.max(...loads.map(load => load[field]));
+  const { mode, workers, cores } = loads[0];
+  return withVerdict({ mode, workers, cpu: peak('cpu'), cores, utilization: peak('utilization'), lagP99: peak('lagP99'), lagMax: peak('lagMax') });
+}
@@ -0,0 +1,156 @@
+import { createClient } from './targets.js';
+import { fanOut, countKeys } from './cluster.js';
+
+// Server-side metrics
+// Benchmarks only see the client side; INFO tells us what the server paid for
+// it. A sampler polls INFO on its own connection while a benchmark runs, and
+// memory snapshots around a dataset load give the per-key footprint. On a
+// cluster every master is asked and the numbers are summed, so the cluster is
+// measured as a whole.
+
+export const DEFAULT_SAMPLE_INTERVAL = 500;
+
+// Parse INFO output into { field: value }, numbers converted
+export function parseInfo(text) {
+  const info = {};
+  for (const line of text.split(/\r?\n/)) {
+    if (!line || line.startsWith('#')) continue;
+    const idx = line.indexOf(':');
+    if (idx === -1) continue;
+    const value = line.slice(idx + 1);
+    info[line.slice(0, idx)] = value !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+  }
+  return info;
+}
+
+// The INFO fields we track, in one flat sample
+export function toSample(info, t) {
+  return {
+    t,
+    usedMemory: info.used_memory ?? null,
+    usedMemoryRss: info.used_memory_rss ?? null,
+    connectedClients: info.connected_clients ?? null,
+    opsPerSec: info.instantaneous_ops_per_sec ?? null,
+    commandsProcessed: info.total_commands_processed ?? null,
+    evictedKeys: info.evicted_keys ?? null,
+    cpu: info.used_cpu_sys !== undefined || info.used_cpu_user !== undefined
+      ? (info.used_cpu_sys || 0) + (info.used_cpu_user || 0)
+      : null
+  };
+}
+
+// INFO for a target; numeric fields are summed across a cluster's masters
+export async function fetchInfo(client) {
+  const [first, ...rest] = (await fanOut(client, node => node.info())).map(parseInfo);
+  for (const info of rest) {
+    for (const [field, value] of Object.entries(info)) {
+      if (typeof value === 'number' && typeof first[field] === 'number') first[field] += value;
+    }
+  }
+  return first;
+}
+
+// Fields that only grow, reported as after - before
+const COUNTERS = { cpu: 'cpuSeconds', commandsProcessed: 'commands', evictedKeys: 'evictedKeys' };
+
+function delta(first, last, field) {
+  if (!first || first[field] === null || last[field] === null) return null;
+  return last[field] - first[field];
+}
+
+function peak(samples, field) {
+  const values = samples.map(s => s[field]).filter(v => v !== null);
+  return values.length > 0 ? Math.max(...values) : null;
+}
+
+// Peaks over the samples plus before/after deltas
+export function summarizeSamples(samples) {
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const summary = {
+    samples: samples.length,
+    peakMemory: peak(samples, 'usedMemory'),
+    peakRss: peak(samples, 'usedMemoryRss'),
+    memoryDelta: delta(first, last, 'usedMemory'),
+    peakClients: peak(samples, 'connectedClients'),
+    peakOpsPerSec: peak(samples, 'opsPerSec')
+  };
+  for (const [field, name] of Object.entries(COUNTERS)) {
+    summary[name] = delta(first, last, field);
+  }
+  return summary;
+}
+
+// Poll INFO on a dedicated connection every `interval` ms until stop()
+// Sampling is best effort: a target that refuses INFO just yields no samples.
+export function startSampler(target, { interval = DEFAULT_SAMPLE_INTERVAL } = {}) {
+  const client = createClient(target, { maxRetriesPerRequest: 1 });
+  const samples = [];
+  const started = performance.now();
+  let pending = null;
+  let timer = null;
+
+  const sample = async () => {
+    try {
+      samples.push(toSample(await fetchInfo(client), performance.now() - started));
+    } catch {
+      // ignore: a missed sample only thins out the series
+    }
+  };
+
+  const ready = client.connect()
+    .then(sample)
+    .then(() => {
+      timer = setInterval(() => {
+        if (!pending) pending = sample().finally(() => { pending = null; });
+      }, interval);
+    })
+    .catch(() => {});
+
+  return {
+    async stop() {
+      await ready;
+      clearInterval(timer);
+      await pending;
+      await sample();
+      client.disconnect();
+      return { ...summarizeSamples(samples), series: samples };
+    }
+  };
+}
+
+// used_memory and key count, for dataset footprint
+export async function snapshotMemory(client) {
+  try {
+    const info = await fetchInfo(client);
+    return { usedMemory: info.used_memory ?? null, keys: await countKeys(client) };
+  } catch {
+    return { usedMemory: null, keys: null };
+  }
+}
+
+// Memory a dataset load added, per key and beyond the raw value bytes
+export function datasetFootprint(before, after, valueBytes) {
+  if (before.usedMemory === null || after.usedMemory === null || before.keys === null || after.keys === null) {
+    return null;
+  }
+  const keys = after.keys - before.keys;
+  const bytes = after.usedMemory - before.usedMemory;
+  const bytesPerKey = keys > 0 && bytes > 0 ? bytes / keys : null;
+  return {
+    keys,
+    bytes,
+    bytesPerKey,
+    overheadPerValue: bytesPerKey !== null && valueBytes ? bytesPerKey - valueBytes : null
+  };
+}
+
+export function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return '—';
+  const sign = bytes < 0 ? '-' : '';
+  const abs = Math.abs(bytes);
+  if (abs < 1024) return `${sign}${Math.round(abs)}B`;
+  if (abs < 1024 ** 2) return `${sign}${(abs / 1024).toFixed(1)}KB`;
+  if (abs < 1024 ** 3) return `${sign}${(abs / 1024 ** 2).toFixed(1)}MB`;
+  return `${sign}${(abs / 1024 ** 3).toFixed(2)}GB`;
+}
@@ -0,0 +1,103 @@
+import crypto from 'node:crypto';
+import { masters, countKeys } from './cluster.js';
+
+// Run namespaces
+// Everything a run writes lives under bench:<run id>:, so cleanup deletes
+// exactly what the run created and never touches anyone else's data. Clients
+// get the namespace as ioredis' keyPrefix, which covers key arguments; the few
+// names it can't see (SCAN/KEYS patterns, pub/sub channels, XGROUP's key) are
+// prefixed with namespaced() or unprefixedArgs().
+
+const NAMESPACE_ROOT = 'bench';
+const SCAN_COUNT = 1000;
+// Unrelated keys shown when a preflight refuses a target
+const SAMPLE_SIZE = 5;
+
+export function createRunId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+// Namespace for a run ID; IDs stay glob-safe so the namespace works as a SCAN pattern
+export function runNamespace(runId) {
+  if (!/^[\w.-]+$/.test(runId)) {
+    throw new Error(`Invalid run ID "${runId}" (letters, digits, ".", "-" and "_" only)`);
+  }
+  return `${NAMESPACE_ROOT}:${runId}:`;
+}
+
+// A key pattern or channel name inside the target's namespace
+export function namespaced(target, name) {
+  return `${target.namespace || ''}${name}`;
+}
+
+// Positions of the arguments ioredis' keyPrefix leaves alone but that still name
+// keys or channels in the namespace (SCAN's MATCH is the argument after MATCH)
+export function unprefixedArgs(command, args) {
+  switch (command) {
+    case 'KEYS':
+    case 'PUBLISH':
+      return [0];
+    case 'XGROUP':
+      return [1];
+    case 'SCAN':
+      return args.flatMap((arg, idx) => idx > 0 && String(args[idx - 1]).toUpperCase() === 'MATCH' ? [idx] : []);
+    default:
+      return [];
+  }
+}
+
+// Call onBatch(keys, node) with every batch of keys matching `pattern`, node by
+// node on a cluster. `client` must not have a keyPrefix (SCAN's replies carry
+// the full key names).
+async function scanKeys(client, pattern, onBatch) {
+  for (const node of masters(client)) {
+    let cursor = '0';
+    do {
+      const [next, keys] = await node.scan(cursor, 'MATCH', pattern, 'COUNT', SCAN_COUNT);
+      cursor = next;
+      if (keys.length > 0) await onBatch(keys, node);
+    } while (cursor !== '0');
+  }
+}
+
+// Keys currently in the namespace
+export async function countNamespace(client, namespace) {
+  let count = 0;
+  await scanKeys(client, `${namespace}*`, keys => { count += keys.length; });
+  return count;
+}
+
+// Delete every key in the namespace; resolves to how many were deleted
+// A cluster node's keys span many slots, so there each key gets its own DEL.
+export async function deleteNamespace(client, namespace) {
+  let deleted = 0;
+  await scanKeys(client, `${namespace}*`, async (keys, node) => {
+    if (!client.isCluster) {
+      deleted += await node.del(...keys);
+      return;
+    }
+    const replies = await node.pipeline(keys.map(key => ['del', key])).exec();
+    deleted += replies.reduce((sum, [error, count]) => sum + (error ? 0 : count), 0);
+  });
+  return deleted;
+}
+
+// What a target holds before a run: { total, own, foreign, sample }
+// `own` keys are leftovers of this run ID; `foreign` ones belong to someone
+// else, and `sample` names a few of them.
+export async function inspectTarget(client, namespace) {
+  const total = await countKeys(client);
+  const own = await countNamespace(client, namespace);
+  const foreign = Math.max(0, total - own);
+  const sample = [];
+  for (const node of foreign > 0 ? masters(client) : []) {
+    let cursor = '0';
+    do {
+      const [next, keys] = await node.scan(cursor, 'COUNT', SCAN_COUNT);
+      cursor = next;
+      sample.push(...keys.filter(key => !key.startsWith(namespace)));
+    } while (cursor !== '0' && sample.length < SAMPLE_SIZE);
+    if (sample.length >= SAMPLE_SIZE) break;
+  }
+  return { total, own, foreign, sample: sample.slice(0, SAMPLE_SIZE) };
+}
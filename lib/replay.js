@@ -0,0 +1,414 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import ora from 'ora';
+import { exists as knownCommand, hasFlag, getKeyIndexes } from '@ioredis/commands';
+import { Histogram, formatLatency } from './histogram.js';
+import { createClient, connectClient, createClients, closeClients } from './targets.js';
+import { ErrorCounter, describeErrors } from './errors.js';
+import { unprefixedArgs, deleteNamespace } from './namespace.js';
+import { sendCommand } from './cluster.js';
+
+// Traffic replay
+// A captured command log is replayed against every target, either on its
+// original schedule (optionally sped up) or as fast as possible. Two capture
+// formats are read:
+//   - MONITOR output:  1700000000.123456 [0 10.0.0.5:51234] "SET" "user:1" "x"
+//   - JSON lines:      {"time": 1700000000.123, "client": "10.0.0.5:51234", "command": "SET", "args": ["user:1", "x"]}
+// ("time" in seconds and "client" are optional in JSON lines).
+//
+// Keys land under <run namespace>replay: through the client's keyPrefix, and
+// patterns and channels through unprefixedArgs(), so captured production key
+// names never touch anything outside the run. Scripts, and commands whose keys
+// can't be remapped, that block, or that change connection or server state are
+// skipped and listed. Commands from one captured client keep their order on one
+// connection; latency is reported per command type.
+
+export const REPLAY_PREFIX = 'replay:';
+export const DEFAULT_REPLAY_CLIENTS = 50;
+
+// Never replayed: connection and transaction state (captured clients share
+// connections here), subscriptions, scripts (which can name keys in their
+// body, where no prefix reaches) and commands that reach past the keys
+const SKIPPED = {
+  connection: ['AUTH', 'HELLO', 'SELECT', 'CLIENT', 'QUIT', 'RESET', 'READONLY', 'READWRITE', 'ASKING'],
+  transaction: ['MULTI', 'EXEC', 'DISCARD', 'WATCH', 'UNWATCH'],
+  subscription: ['SUBSCRIBE', 'PSUBSCRIBE', 'SSUBSCRIBE', 'UNSUBSCRIBE', 'PUNSUBSCRIBE', 'SUNSUBSCRIBE'],
+  script: ['EVAL', 'EVALSHA', 'EVAL_RO', 'EVALSHA_RO', 'FCALL', 'FCALL_RO'],
+  server: ['FLUSHALL', 'FLUSHDB', 'SWAPDB', 'MOVE', 'MIGRATE', 'CONFIG', 'SCRIPT', 'FUNCTION', 'CLUSTER', 'MONITOR', 'SYNC', 'PSYNC', 'REPLICAOF', 'SLAVEOF']
+};
+const SKIP_REASONS = new Map(Object.entries(SKIPPED).flatMap(([reason, commands]) => commands.map(command => [command, reason])));
+
+// Keyless commands whose arguments never name a key; any other command ioredis
+// finds no keys in (OBJECT, MEMORY USAGE, XINFO, RANDOMKEY...) would reach
+// keys outside the namespace
+const KEYLESS = new Set(['PING', 'ECHO', 'TIME', 'LASTSAVE', 'WAIT', 'INFO', 'COMMAND', 'LOLWUT', 'ROLE']);
+
+// Bound on outstanding commands when the target falls behind the capture's schedule
+const MAX_INFLIGHT = 10000;
+const YIELD_EVERY = 64;
+// A timed replay this far (ms) behind schedule didn't keep the capture's pace
+const BEHIND_LIMIT = 100;
+
+const MONITOR_LINE = /^(\d+(?:\.\d+)?) \[(\d+) ([^\]]+)\] (.*)$/;
+const ESCAPES = { n: 0x0a, r: 0x0d, t: 0x09, a: 0x07, b: 0x08, '"': 0x22, '\\': 0x5c };
+
+// Why a captured command isn't replayed, or null if it is
+function skipReason(command, args) {
+  if (SKIP_REASONS.has(command)) return SKIP_REASONS.get(command);
+  const name = command.toLowerCase();
+  // ioredis only prefixes the keys of commands it knows
+  if (!knownCommand(name)) return 'unknown';
+  if (hasFlag(name, 'admin')) return 'server';
+  // XREAD and XREADGROUP only block with a BLOCK argument
+  const blocks = name.startsWith('xread') ? args.some(arg => String(arg).toUpperCase() === 'BLOCK') : hasFlag(name, 'blocking');
+  if (blocks) return 'blocking';
+  return KEYLESS.has(command) || unprefixedArgs(command, args).length > 0 || keyIndexes(name, args).length > 0 ? null : 'unmapped';
+}
+
+// Key positions ioredis prefixes; none when the arguments don't parse (e.g. a bad numkeys)
+function keyIndexes(name, args) {
+  try {
+    return getKeyIndexes(name, args);
+  } catch {
+    return [];
+  }
+}
+
+// A SCAN without MATCH walks every key; a MATCH * keeps it inside the namespace once prefixed
+function scopedArgs(command, args) {
+  const matched = args.some(arg => String(arg).toUpperCase() === 'MATCH');
+  return command === 'SCAN' && !matched ? [...args, 'MATCH', '*'] : args;
+}
+
+// The quoted arguments of a MONITOR line: "SET" "a\"b" "\xe2\x82\xac"
+// Text comes back as strings; arguments that aren't valid UTF-8 as Buffers.
+function parseMonitorArgs(text) {
+  const args = [];
+  let idx = 0;
+  while (idx < text.length) {
+    if (text[idx] === ' ') {
+      idx++;
+      continue;
+    }
+    if (text[idx] !== '"') return null;
+    const bytes = [];
+    idx++;
+    while (idx < text.length && text[idx] !== '"') {
+      if (text[idx] !== '\\') {
+        bytes.push(...Buffer.from(text[idx++]));
+        continue;
+      }
+      const next = text[idx + 1];
+      if (next === undefined) return null;
+      if (next === 'x') {
+        bytes.push(parseInt(text.slice(idx + 2, idx + 4), 16));
+        idx += 4;
+      } else {
+        bytes.push(ESCAPES[next] ?? next.charCodeAt(0));
+        idx += 2;
+      }
+    }
+    if (idx >= text.length) return null;
+    idx++;
+    const buffer = Buffer.from(bytes);
+    const string = buffer.toString('utf8');
+    args.push(Buffer.from(string).equals(buffer) ? string : buffer);
+  }
+  return args.length > 0 ? args : null;
+}
+
+// One capture line as { time (seconds), db, client, command, args }, or null if
+// it isn't a command (MONITOR's leading "OK", a blank line)
+function parseLine(line, format, lineNo, source) {
+  if (format === 'jsonl') {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${source}:${lineNo}: ${error.message}`);
+    }
+    if (!entry || typeof entry.command !== 'string') throw new Error(`${source}:${lineNo}: expected an object with a "command" string`);
+    if (entry.args !== undefined && !Array.isArray(entry.args)) throw new Error(`${source}:${lineNo}: "args" must be an array`);
+    if (entry.time !== undefined && !Number.isFinite(entry.time)) throw new Error(`${source}:${lineNo}: "time" must be a number of seconds`);
+    return { time: entry.time, client: String(entry.client ?? ''), command: entry.command, args: (entry.args || []).map(String) };
+  }
+  const match = MONITOR_LINE.exec(line);
+  const args = match && parseMonitorArgs(match[4]);
+  if (!args) return null;
+  return { time: Number(match[1]), db: Number(match[2]), client: match[3], command: String(args[0]), args: args.slice(1) };
+}
+
+// Read a capture file (MONITOR text, or JSON lines when the first line is an object)
+// Returns { id, name, source, format, commands, sources, span, skipped, unparsed }:
+// `commands` are { time (ms after the first), source (client index), command, args },
+// `skipped` counts left-out commands by name and `unparsed` the lines that
+// weren't commands. Every database replays into the one namespace, so only the
+// first MONITOR line's database is kept; commands on any other are skipped.
+export function loadCapture(file) {
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  const first = lines.find(line => line.trim());
+  if (!first) throw new Error(`${file}: the capture is empty`);
+  const format = first.trimStart().startsWith('{') ? 'jsonl' : 'monitor';
+
+  const commands = [];
+  const clients = new Map();
+  const skipped = {};
+  let unparsed = 0;
+  let lastTime;
+  let db;
+  lines.forEach((line, idx) => {
+    if (!line.trim()) return;
+    const entry = parseLine(line, format, idx + 1, file);
+    if (!entry) {
+      unparsed++;
+      return;
+    }
+    let command = entry.command.toUpperCase();
+    const args = scopedArgs(command, entry.args);
+    let reason = skipReason(command, args);
+    // MONITOR also logs the commands a script runs; replaying its EVAL runs them again
+    if (format === 'monitor' && entry.client === 'lua') {
+      command = `${command} (in scripts)`;
+      reason = 'script';
+    }
+    db ??= entry.db;
+    if (!reason && entry.db !== db) {
+      command = `${command} (db ${entry.db})`;
+      reason = 'database';
+    }
+    if (reason) {
+      skipped[command] ??= { reason, count: 0 };
+      skipped[command].count++;
+      return;
+    }
+    // Lines without a time go out with the one before (or with the first timed one)
+    lastTime = entry.time ?? lastTime;
+    if (!clients.has(entry.client)) clients.set(entry.client, clients.size);
+    commands.push({ time: lastTime, source: clients.get(entry.client), command, args });
+  });
+  if (commands.length === 0) {
+    throw new Error(`${file}: no commands to replay (${unparsed} unparsed line(s), ${Object.keys(skipped).length} skipped command type(s))`);
+  }
+  const origin = commands.find(entry => entry.time !== undefined)?.time ?? 0;
+  for (const entry of commands) entry.time = Math.max(0, ((entry.time ?? origin) - origin) * 1000);
+  commands.sort((a, b) => a.time - b.time);
+
+  const name = path.basename(file).replace(/\.[^.]+$/, '');
+  return {
+    id: `replay-${name}`,
+    name,
+    source: file,
+    format,
+    commands,
+    sources: clients.size,
+    span: commands[commands.length - 1].time,
+    skipped,
+    unparsed
+  };
+}
+
+// Validate --replay-speed (a factor, or "max") and --replay-clients
+export function createReplayOptions({ speed = '1', clients = DEFAULT_REPLAY_CLIENTS }) {
+  if (speed !== 'max' && !(Number(speed) > 0)) {
+    throw new Error(`--replay-speed must be a positive factor or "max" (got "${speed}")`);
+  }
+  if (!(Number.isInteger(Number(clients)) && Number(clients) > 0)) {
+    throw new Error(`--replay-clients must be a positive integer (got "${clients}")`);
+  }
+  return { speed: speed === 'max' ? 'max' : Number(speed), clients: Number(clients) };
+}
+
+// "1x", "10x", "max speed"
+export function describeSpeed(speed) {
+  return speed === 'max' ? 'max speed' : `${speed}x`;
+}
+
+// "SELECT ×120, FLUSHDB ×1"
+export function describeSkipped(skipped) {
+  return Object.entries(skipped)
+    .sort(([, a], [, b]) => b.count - a.count)
+    .map(([command, { count }]) => `${command} ×${count.toLocaleString()}`)
+    .join(', ');
+}
+
+// Per-command latency and failures while replaying
+class CommandStats {
+  constructor() {
+    this.latency = new Histogram();
+    this.errors = new ErrorCounter();
+    this.byCommand = {};
+  }
+
+  entry(command) {
+    this.byCommand[command] ??= { histogram: new Histogram(), errors: 0 };
+    return this.byCommand[command];
+  }
+
+  record(command, ms) {
+    this.latency.record(ms);
+    this.entry(command).histogram.record(ms);
+  }
+
+  fail(command, error) {
+    this.errors.record(error);
+    this.entry(command).errors++;
+  }
+}
+
+// Send one captured command, with its patterns and channels moved into the namespace
+function send(client, entry, namespace) {
+  const prefixed = new Set(unprefixedArgs(entry.command, entry.args));
+  // Arguments that aren't valid UTF-8 stay Buffers, byte for byte
+  const prefix = arg => Buffer.isBuffer(arg) ? Buffer.concat([Buffer.from(namespace), arg]) : namespace + arg;
+  const args = prefixed.size === 0 ? entry.args : entry.args.map((arg, idx) => prefixed.has(idx) ? prefix(arg) : arg);
+  return sendCommand(client, entry.command, args);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Replay on the capture's schedule, `speed` times faster. Latency counts from
+// each command's intended send time, so a target that falls behind shows it.
+// Resolves to how far behind schedule (ms) the replay got at worst.
+async function replayTimed(capture, connections, namespace, speed, stats) {
+  const inflight = new Set();
+  const start = performance.now();
+  let maxLag = 0;
+  let sentSinceYield = 0;
+
+  for (const entry of capture.commands) {
+    const intended = start + entry.time / speed;
+    let now = performance.now();
+    if (intended - now > 1) {
+      await sleep(intended - now);
+      sentSinceYield = 0;
+      now = performance.now();
+    }
+    while (inflight.size >= MAX_INFLIGHT) {
+      await Promise.race(inflight);
+      now = performance.now();
+    }
+    maxLag = Math.max(maxLag, now - intended);
+
+    const client = connections[entry.source % connections.length];
+    const pending = send(client, entry, namespace).then(
+      () => stats.record(entry.command, performance.now() - intended),
+      error => stats.fail(entry.command, error)
+    ).finally(() => inflight.delete(pending));
+    inflight.add(pending);
+
+    if (++sentSinceYield >= YIELD_EVERY) {
+      await new Promise(resolve => setImmediate(resolve));
+      sentSinceYield = 0;
+    }
+  }
+
+  await Promise.all(inflight);
+  return maxLag;
+}
+
+// Replay as fast as possible: each connection sends its captured clients'
+// commands back to back, in order
+async function replayMax(capture, connections, namespace, stats) {
+  const queues = connections.map(() => []);
+  for (const entry of capture.commands) queues[entry.source % connections.length].push(entry);
+  await Promise.all(queues.map(async (queue, idx) => {
+    for (const entry of queue) {
+      const start = performance.now();
+      try {
+        await send(connections[idx], entry, namespace);
+        stats.record(entry.command, performance.now() - start);
+      } catch (error) {
+        stats.fail(entry.command, error);
+      }
+    }
+  }));
+}
+
+// Replay a capture against one target
+// Every run starts from an empty replay namespace, so trials and targets see
+// the same data. Captured clients share `clients` connections at most.
+export async function runReplay(capture, target, label, { speed = 1, clients = DEFAULT_REPLAY_CLIENTS, silent = false } = {}) {
+  const spinner = ora({ text: `${label}: Preparing replay of ${capture.name}...`, isSilent: silent }).start();
+  const namespace = `${target.namespace || ''}${REPLAY_PREFIX}`;
+
+  const admin = createClient(target, { keyPrefix: '' });
+  await connectClient(admin);
+  await deleteNamespace(admin, namespace);
+  await admin.disconnect();
+
+  const connections = await createClients({ ...target, namespace }, Math.min(capture.sources, clients));
+  const stats = new CommandStats();
+
+  spinner.text = `${label}: Replaying ${capture.commands.length.toLocaleString()} commands at ${describeSpeed(speed)}...`;
+  const start = performance.now();
+  let maxLag = 0;
+  if (speed === 'max') await replayMax(capture, connections, namespace, stats);
+  else maxLag = await replayTimed(capture, connections, namespace, speed, stats);
+  const duration = performance.now() - start;
+  await closeClients(connections);
+
+  const totalOps = capture.commands.length;
+  const opsPerSecond = Math.round((totalOps / duration) * 1000);
+  const latency = stats.latency.summary();
+  const errors = stats.errors.summary();
+  const result = {
+    duration,
+    opsPerSecond,
+    totalOps,
+    latency,
+    histogram: stats.latency,
+    errors,
+    replay: { speed, connections: connections.length, maxLag, byCommand: stats.byCommand }
+  };
+
+  const problems = [];
+  if (errors.total > 0) problems.push(`${errors.total.toLocaleString()} failed (${describeErrors(errors)})`);
+  if (maxLag > BEHIND_LIMIT) problems.push(`fell ${formatLatency(maxLag)} behind the capture's schedule`);
+  const message = `${label}: ${totalOps.toLocaleString()} commands in ${(duration/1000).toFixed(2)}s (${opsPerSecond.toLocaleString()} ops/sec, p99 ${formatLatency(latency.p99)})${problems.map(problem => ` — ${problem}`).join('')}`;
+  if (problems.length === 0) spinner.succeed(message);
+  else spinner.warn(message);
+  return result;
+}
+
+// Fold per-trial replays: per-command latency over every trial, worst lag
+export function aggregateReplay(replays) {
+  const merged = {};
+  for (const replay of replays) {
+    for (const [command, { histogram, errors }] of Object.entries(replay.byCommand)) {
+      merged[command] ??= { histogram: new Histogram(), errors: 0 };
+      merged[command].histogram.merge(histogram);
+      merged[command].errors += errors;
+    }
+  }
+  const byCommand = Object.entries(merged)
+    .map(([command, { histogram, errors }]) => [command, { calls: histogram.count + errors, errors, latency: histogram.summary() }])
+    .sort(([, a], [, b]) => b.calls - a.calls);
+  return {
+    speed: replays[0].speed,
+    connections: replays[0].connections,
+    maxLag: Math.max(...replays.map(replay => replay.maxLag)),
+    byCommand: Object.fromEntries(byCommand)
+  };
+}
+
+// Adapt a capture to the benchmark descriptor shape used by runBenchmarks
+export function replayBenchmark(capture, { speed, clients }) {
+  const seconds = (capture.span / 1000).toFixed(1);
+  const skipped = describeSkipped(capture.skipped);
+  return {
+    id: capture.id,
+    name: `Replay ${capture.name}`,
+    detail: `${capture.commands.length.toLocaleString()} cmds, ${describeSpeed(speed)}`,
+    heading: `REPLAY: ${capture.name}`.toUpperCase(),
+    description: `Captured traffic from ${capture.source}: ${capture.commands.length.toLocaleString()} commands from ` +
+      `${capture.sources} client(s) over ${seconds}s${skipped ? `; skipped ${skipped}` : ''}`,
+    params: {
+      commands: capture.commands.length,
+      span: Math.round(capture.span),
+      speed: speed === 'max' ? 'max' : speed,
+      clients: Math.min(capture.sources, clients)
+    },
+    keys: [`${REPLAY_PREFIX}*`],
+    run: (target, label) => runReplay(capture, target, label, { speed, clients })
+  };
+}
@@ -0,0 +1,309 @@
+import { formatLatency } from './histogram.js';
+import { formatBytes } from './metrics.js';
+import { describeErrors } from './errors.js';
+
+// Offline HTML report
+// Renders a run record (see export.js) as one self-contained HTML file: inline
+// CSS, charts drawn as inline SVG, no scripts or external requests, so it
+// opens the same from a ticket attachment as from disk.
+
+// Terminal color names mapped to something readable on a white page
+const COLORS = {
+  blue: '#2563eb',
+  magenta: '#c026d3',
+  green: '#16a34a',
+  yellow: '#ca8a04',
+  cyan: '#0891b2',
+  red: '#dc2626',
+  white: '#6b7280',
+  gray: '#6b7280',
+  black: '#111827'
+};
+const FALLBACK = Object.values(COLORS);
+
+const PERCENTILES = [['p50', 'p50'], ['p90', 'p90'], ['p99', 'p99'], ['p999', 'p99.9'], ['max', 'max']];
+
+const STYLE = `
+  body { font: 14px/1.5 -apple-system, "Segoe UI", Roboto, sans-serif; color: #111827; margin: 0; background: #f9fafb; }
+  main { max-width: 1100px; margin: 0 auto; padding: 24px; }
+  h1 { font-size: 24px; margin: 0 0 4px; }
+  h2 { font-size: 18px; margin: 32px 0 12px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; }
+  h3 { font-size: 15px; margin: 0 0 4px; }
+  .muted { color: #6b7280; }
+  .card { background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; padding: 16px; margin-bottom: 16px; }
+  .grid { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; }
+  table { border-collapse: collapse; width: 100%; margin-top: 8px; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #f3f4f6; font-variant-numeric: tabular-nums; }
+  th { color: #374151; font-weight: 600; background: #f9fafb; }
+  td.num, th.num { text-align: right; }
+  .swatch { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 6px; }
+  .legend span { margin-right: 16px; white-space: nowrap; }
+  .win { color: #16a34a; font-weight: 600; }
+  .bad { color: #dc2626; font-weight: 600; }
+  svg text { font: 11px sans-serif; fill: #374151; }
+  @media (max-width: 800px) { .grid { grid-template-columns: 1fr; } }
+`;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function colorOf(target, idx) {
+  const color = target.color || FALLBACK[idx % FALLBACK.length];
+  return color.startsWith('#') ? color : COLORS[color] || FALLBACK[idx % FALLBACK.length];
+}
+
+const formatOps = ops => Math.round(ops).toLocaleString('en-US');
+
+function legend(targets) {
+  return `<div class="legend">${targets.map((t, idx) =>
+    `<span><i class="swatch" style="background:${colorOf(t, idx)}"></i>${escapeHtml(t.label)}</span>`).join('')}</div>`;
+}
+
+function table(headers, rows, numeric = []) {
+  const cell = (tag, value, idx) => `<${tag}${numeric.includes(idx) ? ' class="num"' : ''}>${value}</${tag}>`;
+  return `<table><thead><tr>${headers.map((h, idx) => cell('th', escapeHtml(h), idx)).join('')}</tr></thead>` +
+    `<tbody>${rows.map(row => `<tr>${row.map((value, idx) => cell('td', value, idx)).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+// ============================================
+// Charts (inline SVG)
+// ============================================
+
+// Throughput per benchmark, one bar per target, scaled to the fastest target of each benchmark
+// (benchmarks differ by orders of magnitude, so a shared axis would flatten most of them)
+function throughputChart(run) {
+  const labelWidth = 190;
+  const width = 1000;
+  const barHeight = 14;
+  const groupGap = 12;
+  const valueWidth = 110;
+  const barArea = width - labelWidth - valueWidth;
+  let y = 8;
+  const parts = [];
+
+  for (const benchmark of run.benchmarks) {
+    const results = run.targets.map(t => benchmark.results[t.name]);
+    const best = Math.max(...results.map(r => r?.opsPerSecond || 0), 1);
+    const groupHeight = run.targets.length * (barHeight + 2);
+    parts.push(`<text x="0" y="${y + groupHeight / 2 + 4}">${escapeHtml(benchmark.name)}</text>`);
+    run.targets.forEach((target, idx) => {
+      const result = results[idx];
+      if (!result) return;
+      const barWidth = Math.max(1, (result.opsPerSecond / best) * barArea);
+      const barY = y + idx * (barHeight + 2);
+      parts.push(`<rect x="${labelWidth}" y="${barY}" width="${barWidth.toFixed(1)}" height="${barHeight}" rx="2" fill="${colorOf(target, idx)}">` +
+        `<title>${escapeHtml(`${target.label}: ${formatOps(result.opsPerSecond)} ops/sec`)}</title></rect>`);
+      parts.push(`<text x="${labelWidth + barWidth + 6}" y="${barY + barHeight - 3}">${formatOps(result.opsPerSecond)}</text>`);
+    });
+    y += groupHeight + groupGap;
+  }
+
+  return `<svg viewBox="0 0 ${width} ${y}" width="100%" role="img" aria-label="Throughput per benchmark">${parts.join('')}</svg>`;
+}
+
+// Latency percentiles of one benchmark on a log scale, one line per target
+function latencyChart(benchmark, targets) {
+  const width = 480;
+  const height = 220;
+  const pad = { left: 56, right: 12, top: 12, bottom: 28 };
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+
+  const values = targets.flatMap(t => PERCENTILES.map(([key]) => benchmark.results[t.name]?.latency[key]))
+    .filter(v => v > 0);
+  if (values.length === 0) return '<p class="muted">No latency samples.</p>';
+
+  const low = Math.floor(Math.log10(Math.min(...values)));
+  const high = Math.max(Math.ceil(Math.log10(Math.max(...values))), low + 1);
+  const x = idx => pad.left + (idx / (PERCENTILES.length - 1)) * plotWidth;
+  const y = value => pad.top + plotHeight - ((Math.log10(value) - low) / (high - low)) * plotHeight;
+
+  const parts = [];
+  for (let exp = low; exp <= high; exp++) {
+    const value = 10 ** exp;
+    parts.push(`<line x1="${pad.left}" x2="${width - pad.right}" y1="${y(value)}" y2="${y(value)}" stroke="#e5e7eb"/>`);
+    parts.push(`<text x="${pad.left - 6}" y="${y(value) + 4}" text-anchor="end">${formatLatency(value)}</text>`);
+  }
+  PERCENTILES.forEach(([, label], idx) => {
+    parts.push(`<text x="${x(idx)}" y="${height - 8}" text-anchor="middle">${label}</text>`);
+  });
+
+  targets.forEach((target, idx) => {
+    const latency = benchmark.results[target.name]?.latency;
+    if (!latency) return;
+    const color = colorOf(target, idx);
+    const points = PERCENTILES.map(([key], i) => [x(i), y(Math.max(latency[key], 10 ** low))]);
+    parts.push(`<polyline points="${points.map(([px, py]) => `${px.toFixed(1)},${py.toFixed(1)}`).join(' ')}" fill="none" stroke="${color}" stroke-width="2"/>`);
+    PERCENTILES.forEach(([key, label], i) => {
+      const [px, py] = points[i];
+      parts.push(`<circle cx="${px.toFixed(1)}" cy="${py.toFixed(1)}" r="3" fill="${color}">` +
+        `<title>${escapeHtml(`${target.label} ${label}: ${formatLatency(latency[key])}`)}</title></circle>`);
+    });
+  });
+
+  return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${escapeHtml(benchmark.name)} latency">${parts.join('')}</svg>`;
+}
+
+// ============================================
+// Sections
+// ============================================
+
+function verdictText(benchmark, targets) {
+  const { verdict } = benchmark;
+  if (!verdict) return '';
+  const label = name => escapeHtml(targets.find(t => t.name === name)?.label ?? name);
+  if (!verdict.runnerUp) return `<span class="win">${label(verdict.winner)}</span>`;
+  if (verdict.pValue === null || Number.isNaN(verdict.pValue)) {
+    return `${label(verdict.winner)} ahead (${verdict.ratio.toFixed(2)}x, one trial: no significance test)`;
+  }
+  if (!verdict.significant) return `<span class="muted">No significant difference (p=${verdict.pValue.toFixed(2)})</span>`;
+  return `<span class="win">${label(verdict.winner)} ${verdict.ratio.toFixed(2)}x faster</span> ` +
+    `<span class="muted">than ${label(verdict.runnerUp)}, p=${verdict.pValue < 0.001 ? '&lt;0.001' : verdict.pValue.toFixed(3)}</span>`;
+}
+
+function resultsTable(benchmark, targets) {
+  const rows = targets.map((target, idx) => {
+    const result = benchmark.results[target.name];
+    if (!result) return null;
+    const { throughput, latency } = result;
+    const ops = throughput?.trials > 1
+      ? `${formatOps(throughput.mean)} ± ${formatOps((throughput.ci[1] - throughput.ci[0]) / 2)}`
+      : formatOps(result.opsPerSecond);
+    return [
+      `<i class="swatch" style="background:${colorOf(target, idx)}"></i>${escapeHtml(target.label)}`,
+      ops,
+      result.totalOps.toLocaleString('en-US'),
+      ...PERCENTILES.map(([key]) => formatLatency(latency[key]))
+    ];
+  }).filter(Boolean);
+  return table(['Target', 'ops/sec', 'Ops', ...PERCENTILES.map(([, label]) => label)], rows, [1, 2, 3, 4, 5, 6, 7]);
+}
+
+// Benchmark-specific extras the terminal prints in its own tables
+function extrasTable(benchmark, targets) {
+  const present = targets.filter(t => benchmark.results[t.name]);
+  const rows = [];
+  const add = (label, read) => {
+    const cells = present.map(t => read(benchmark.results[t.name]));
+    if (cells.some(cell => cell !== undefined && cell !== null)) rows.push([label, ...cells.map(cell => escapeHtml(cell ?? '—'))]);
+  };
+
+  add('Open-loop target rate', r => r.openLoop && `${formatOps(r.openLoop.targetRate)}/s`);
+  add('Open-loop achieved rate', r => r.openLoop && `${formatOps(r.openLoop.achievedRate)}/s${r.openLoop.sustained ? '' : ' (not sustained)'}`);
+  add('Service time p99', r => r.serviceTime && formatLatency(r.serviceTime.p99));
+  add('Messages delivered', r => r.delivery && `${r.delivery.delivered.toLocaleString('en-US')} / ${r.delivery.expected.toLocaleString('en-US')}`);
+  add('Messages lost', r => r.delivery?.lost);
+  add('Stream produce rate', r => r.streams && `${formatOps(r.streams.produceRate)}/s`);
+  add('Stream consume rate', r => r.streams && `${formatOps(r.streams.consumeRate)}/s`);
+  add('Peak pending entries', r => r.streams?.peakPending);
+  add('WATCH retries', r => r.locking?.retries);
+  add('WATCH aborts', r => r.locking?.aborts);
+  add('Lost updates', r => r.locking?.lostUpdates);
+  const failed = present.some(t => benchmark.results[t.name].errors?.total > 0);
+  add('Failed commands', r => failed && r.errors ? `${r.errors.total.toLocaleString('en-US')}${r.errors.total > 0 ? ` (${describeErrors(r.errors)})` : ''}` : null);
+  const chaos = read => r => r.chaos?.triggered ? read(r.chaos) : null;
+  const seconds = ms => ms === null ? 'not recovered' : `${(ms / 1000).toFixed(1)}s`;
+  add('Chaos dip', chaos(c => c.dip === null ? null : `${Math.round(c.dip * 100)}% (${c.action} ${c.outage}s)`));
+  add('Chaos failed ops', chaos(c => c.failedOps.toLocaleString('en-US')));
+  add('Chaos recovery', chaos(c => seconds(c.recoveryTime)));
+  add('Chaos downtime', chaos(c => seconds(c.downtime)));
+  add('Peak used_memory', r => r.server && formatBytes(r.server.peakMemory));
+  add('Server CPU seconds', r => r.server?.cpuSeconds !== null && r.server?.cpuSeconds !== undefined ? r.server.cpuSeconds.toFixed(2) : null);
+  add('Peak clients', r => r.server?.peakClients);
+  add('Evicted keys', r => r.server?.evictedKeys);
+  add('Bytes per key', r => r.dataset?.bytesPerKey && formatBytes(r.dataset.bytesPerKey));
+
+  if (rows.length === 0) return '';
+  return table(['', ...present.map(t => t.label)], rows, present.map((t, idx) => idx + 1));
+}
+
+function benchmarkSection(benchmark, targets) {
+  const params = Object.entries(benchmark.params || {}).map(([key, value]) => `${escapeHtml(key)}=${escapeHtml(value)}`).join(', ');
+  return `<div class="card">
+  <h3>${escapeHtml(benchmark.name)} <span class="muted">· ${escapeHtml(benchmark.detail)}</span></h3>
+  <div>${verdictText(benchmark, targets)}</div>
+  <div class="grid">
+    <div>${resultsTable(benchmark, targets)}${extrasTable(benchmark, targets)}
+      ${params ? `<p class="muted">Parameters: ${params}</p>` : ''}</div>
+    <div>${latencyChart(benchmark, targets)}</div>
+  </div>
+</div>`;
+}
+
+function comparisonSection(run) {
+  const { comparison } = run;
+  if (!comparison) return '';
+  const label = name => run.targets.find(t => t.name === name)?.label ?? name;
+  const rows = comparison.rows.filter(row => row.status !== 'ok').map(row => [
+    escapeHtml(row.name),
+    escapeHtml(label(row.target)),
+    escapeHtml(row.metricLabel),
+    escapeHtml(row.baseline),
+    escapeHtml(row.current),
+    `<span class="${row.status === 'regression' ? 'bad' : 'win'}">${row.change >= 0 ? '+' : ''}${row.change.toFixed(1)}% (${row.status})</span>`
+  ]);
+  return `<h2>Baseline comparison</h2>
+<div class="card">
+  <p>Compared with <b>${escapeHtml(comparison.baseline)}</b> (${escapeHtml(comparison.baselineTimestamp)}):
+  <span class="${comparison.regressions > 0 ? 'bad' : 'win'}">${comparison.regressions} regression(s)</span>, ${comparison.improvements} improvement(s).</p>
+  ${rows.length > 0 ? table(['Benchmark', 'Target', 'Metric', 'Baseline', 'Current', 'Change'], rows, [3, 4, 5]) : '<p class="muted">Every metric within tolerance.</p>'}
+</div>`;
+}
+
+function configurationSection(run) {
+  const targets = table(['Target', 'Name', 'Address', 'DB'], run.targets.map((t, idx) => [
+    `<i class="swatch" style="background:${colorOf(t, idx)}"></i>${escapeHtml(t.label)}`,
+    escapeHtml(t.name),
+    escapeHtml(`${t.host}:${t.port}`),
+    escapeHtml(t.db)
+  ]));
+  const pairs = object => table(['Setting', 'Value'], Object.entries(object || {}).map(([key, value]) => [
+    escapeHtml(key),
+    escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value)
+  ]));
+  return `<h2>Configuration</h2>
+<div class="grid">
+  <div class="card"><h3>Targets</h3>${targets}</div>
+  <div class="card"><h3>Run parameters</h3>${pairs(run.parameters)}</div>
+  <div class="card"><h3>Environment</h3>${pairs(run.environment)}</div>
+</div>`;
+}
+
+// The whole report as one HTML document
+export function renderReport(run) {
+  const title = `${run.targets.map(t => t.label).join(' vs ')} benchmark`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} · ${escapeHtml(run.timestamp)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+<h1>🚀 ${escapeHtml(title)}</h1>
+<div class="muted">Run started ${escapeHtml(run.timestamp)} · took ${(run.durationMs / 1000).toFixed(1)}s · ${run.benchmarks.length} benchmark(s)</div>
+
+<h2>Throughput</h2>
+<div class="card">
+  ${legend(run.targets)}
+  <p class="muted">ops/sec per benchmark; bars are scaled to the fastest target of each benchmark.</p>
+  ${throughputChart(run)}
+</div>
+${comparisonSection(run)}
+<h2>Benchmarks</h2>
+${legend(run.targets)}
+<p class="muted">Latency charts use a log scale.</p>
+${run.benchmarks.map(benchmark => benchmarkSection(benchmark, run.targets)).join('\n')}
+${configurationSection(run)}
+</main>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,125 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Dashboard session recordings
+// A recording is JSON Lines: a header naming the targets, then one event per
+// line, each stamped with `t` (ms since the session started). Lines are
+// appended as they happen, so a crashed or killed dashboard still leaves a
+// playable file behind.
+
+const VERSION = 1;
+
+export const EVENT_TYPES = ['workload', 'run', 'health', 'annotate', 'pause', 'reset'];
+
+// Open `file` for recording and write the header; returns { write(type, data), close() }
+export function createRecorder(file, { targets }) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const fd = fs.openSync(file, 'w');
+  const started = performance.now();
+  const writeLine = entry => fs.writeSync(fd, JSON.stringify(entry) + '\n');
+
+  writeLine({
+    type: 'session',
+    version: VERSION,
+    startedAt: new Date().toISOString(),
+    targets: targets.map(({ name, label, host, port, db, color }) => ({ name, label, host, port, db, color }))
+  });
+
+  return {
+    write(type, data = {}) {
+      writeLine({ t: Math.round(performance.now() - started), type, ...data });
+    },
+    close() {
+      fs.closeSync(fd);
+    }
+  };
+}
+
+// Read a recording back: { header, events }, events in time order
+export function loadSession(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim() !== '');
+  const entries = lines.map((line, idx) => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      // A recording cut off mid-write only loses its last line
+      if (idx === lines.length - 1) return null;
+      throw new Error(`${file}:${idx + 1}: not valid JSON`);
+    }
+  }).filter(Boolean);
+
+  const [header, ...events] = entries;
+  if (header?.type !== 'session' || !Array.isArray(header.targets) || header.targets.length === 0) {
+    throw new Error(`${file} is not a dashboard recording (missing session header)`);
+  }
+  if (header.version > VERSION) {
+    throw new Error(`${file} was recorded by a newer version (format ${header.version}, this one reads ${VERSION})`);
+  }
+  for (const [idx, event] of events.entries()) {
+    if (!EVENT_TYPES.includes(event.type) || typeof event.t !== 'number') {
+      throw new Error(`${file}:${idx + 2}: unknown event "${event.type}"`);
+    }
+  }
+  events.sort((a, b) => a.t - b.t);
+  return { header, events };
+}
+
+// Play events on a virtual clock running `speed` times faster than real time
+// Pausing stops the clock; changing the speed keeps the current position.
+export function createPlayer(events, { speed = 1, onEvent, onEnd = () => {} }) {
+  let idx = 0;
+  let position = 0;
+  let anchor = null;
+  let timer = null;
+
+  const now = () => anchor === null ? position : position + (performance.now() - anchor) * speed;
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (anchor === null) return;
+    while (idx < events.length && events[idx].t <= now()) {
+      onEvent(events[idx++]);
+    }
+    if (idx >= events.length) {
+      position = now();
+      anchor = null;
+      onEnd();
+      return;
+    }
+    timer = setTimeout(schedule, (events[idx].t - now()) / speed);
+  };
+
+  return {
+    play() {
+      if (anchor !== null || idx >= events.length) return;
+      anchor = performance.now();
+      schedule();
+    },
+    pause() {
+      if (anchor === null) return;
+      position = now();
+      anchor = null;
+      clearTimeout(timer);
+    },
+    setSpeed(next) {
+      position = now();
+      if (anchor !== null) anchor = performance.now();
+      speed = next;
+      schedule();
+    },
+    get speed() {
+      return speed;
+    },
+    get position() {
+      return now();
+    },
+    get paused() {
+      return anchor === null;
+    },
+    get finished() {
+      return idx >= events.length;
+    },
+    duration: events.length > 0 ? events[events.length - 1].t : 0
+  };
+}
@@ -0,0 +1,125 @@
+// Summary statistics and significance testing for repeated trials
+
+export function mean(samples) {
+  return samples.reduce((a, b) => a + b, 0) / samples.length;
+}
+
+// Sample standard deviation (n - 1)
+export function stddev(samples) {
+  if (samples.length < 2) return 0;
+  const m = mean(samples);
+  return Math.sqrt(samples.reduce((sum, x) => sum + (x - m) ** 2, 0) / (samples.length - 1));
+}
+
+// ln Γ(x), Lanczos approximation
+function logGamma(x) {
+  const c = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  for (const coef of c) ser += coef / ++y;
+  return -tmp + Math.log((2.5066282746310005 * ser) / x);
+}
+
+// Continued fraction for the incomplete beta function (Numerical Recipes betacf)
+function betaContinuedFraction(a, b, x) {
+  const EPS = 3e-14;
+  const FPMIN = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < FPMIN) d = FPMIN;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < EPS) break;
+  }
+  return h;
+}
+
+// Regularized incomplete beta I_x(a, b)
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+  if (x < (a + 1) / (a + b + 2)) {
+    return (front * betaContinuedFraction(a, b, x)) / a;
+  }
+  return 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+}
+
+// Two-sided p-value for a t statistic with `df` degrees of freedom
+export function tTwoSidedP(t, df) {
+  if (!Number.isFinite(t)) return 0;
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+// Critical t value for a two-sided interval at `confidence` (bisection on the CDF)
+export function tCritical(confidence, df) {
+  const alpha = 1 - confidence;
+  let lo = 0;
+  let hi = 1000;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (tTwoSidedP(mid, df) > alpha) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// Mean, spread and confidence interval for one set of trial samples
+export function describe(samples, confidence = 0.95) {
+  const n = samples.length;
+  const m = mean(samples);
+  const sd = stddev(samples);
+  const halfWidth = n > 1 ? (tCritical(confidence, n - 1) * sd) / Math.sqrt(n) : 0;
+  return {
+    trials: n,
+    mean: m,
+    stddev: sd,
+    confidence,
+    ci: [m - halfWidth, m + halfWidth],
+    samples
+  };
+}
+
+// Welch's unequal-variance t-test between two sets of samples
+export function welchTest(a, b) {
+  const na = a.length;
+  const nb = b.length;
+  if (na < 2 || nb < 2) return { t: NaN, df: NaN, p: NaN };
+
+  const va = stddev(a) ** 2 / na;
+  const vb = stddev(b) ** 2 / nb;
+  const diff = mean(a) - mean(b);
+
+  if (va + vb === 0) {
+    return { t: diff === 0 ? 0 : Infinity, df: na + nb - 2, p: diff === 0 ? 1 : 0 };
+  }
+
+  const t = diff / Math.sqrt(va + vb);
+  const df = (va + vb) ** 2 / ((va ** 2) / (na - 1) + (vb ** 2) / (nb - 1));
+  return { t, df, p: tTwoSidedP(t, df) };
+}
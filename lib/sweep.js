@@ -0,0 +1,99 @@
+// Parameter sweeps
+// A sweep runs one benchmark at every combination of the swept settings, so
+// the results show where each target stops scaling instead of one fixed point.
+
+// Dimensions a benchmark can be swept over; each benchmark maps them to its own params
+export const DIMENSIONS = ['clients', 'pipeline', 'valueSize'];
+
+// A step that adds less throughput than this is past the knee
+export const KNEE_MIN_GAIN = 0.1;
+
+const MAX_POINTS = 64;
+
+// "clients=1,2,4,8" or "clients=1..64" (powers of two from 1 to 64)
+export function parseSweepSpec(spec) {
+  const match = /^(\w+)=(.+)$/.exec(spec.trim());
+  if (!match || !DIMENSIONS.includes(match[1])) {
+    throw new Error(`Invalid --sweep "${spec}" (expected ${DIMENSIONS.join('|')}=1,2,4 or =1..64)`);
+  }
+  const [, dimension, list] = match;
+  const range = /^(\d+)\.\.(\d+)$/.exec(list);
+  let values;
+  if (range) {
+    const [from, to] = [Number(range[1]), Number(range[2])];
+    if (from < 1 || to < from) throw new Error(`Invalid range in --sweep "${spec}"`);
+    values = [];
+    for (let value = from; value < to; value *= 2) values.push(value);
+    values.push(to);
+  } else {
+    values = list.split(',').map(Number);
+  }
+  if (values.some(value => !Number.isInteger(value) || value < 1)) {
+    throw new Error(`--sweep "${spec}" needs positive whole numbers`);
+  }
+  return { dimension, values: [...new Set(values)].sort((a, b) => a - b) };
+}
+
+// Every combination of the swept values; the first dimension varies fastest
+export function sweepPoints(dimensions) {
+  let points = [{}];
+  for (const { dimension, values } of [...dimensions].reverse()) {
+    points = points.flatMap(point => values.map(value => ({ [dimension]: value, ...point })));
+  }
+  if (points.length > MAX_POINTS) {
+    throw new Error(`Sweep has ${points.length} points (max ${MAX_POINTS}); sweep fewer values`);
+  }
+  return points;
+}
+
+export function describePoint(point) {
+  return Object.entries(point).map(([key, value]) => `${key}=${value}`).join(' ');
+}
+
+// Points grouped into curves along the first dimension, one curve per combination of the others
+export function sweepCurves(dimensions, points) {
+  const [primary, ...others] = dimensions.map(d => d.dimension);
+  const curves = new Map();
+  for (const point of points) {
+    const key = describePoint(Object.fromEntries(others.map(d => [d, point[d]])));
+    if (!curves.has(key)) curves.set(key, { fixed: key, axis: primary, points: [] });
+    curves.get(key).points.push(point);
+  }
+  return [...curves.values()];
+}
+
+// The knee of a throughput curve: the last setting after which one more step adds
+// less than KNEE_MIN_GAIN throughput (or loses some). null if it keeps scaling.
+export function findKnee(curve) {
+  for (let idx = 0; idx < curve.length - 1; idx++) {
+    const gain = curve[idx].opsPerSecond > 0 ? curve[idx + 1].opsPerSecond / curve[idx].opsPerSecond - 1 : Infinity;
+    if (gain < KNEE_MIN_GAIN) {
+      const peak = curve.reduce((best, entry) => entry.opsPerSecond > best.opsPerSecond ? entry : best);
+      return { idx, value: curve[idx].value, gain, peak: peak.value };
+    }
+  }
+  return null;
+}
+
+// Per-target throughput and latency curves (with knees) for one swept benchmark
+// `entries` are the benchmark's run entries, each tagged with its sweep point
+export function summarizeSweep({ id, name }, dimensions, entries, targets) {
+  const points = entries.map(entry => entry.sweep.point);
+  const curves = sweepCurves(dimensions, points).map(curve => ({
+    axis: curve.axis,
+    fixed: curve.fixed,
+    targets: Object.fromEntries(targets.map(target => {
+      const series = curve.points.map(point => {
+        const result = entries[points.indexOf(point)].results[target.name];
+        return {
+          value: point[curve.axis],
+          opsPerSecond: result.opsPerSecond,
+          p50: result.latency.p50,
+          p99: result.latency.p99
+        };
+      });
+      return [target.name, { points: series, knee: findKnee(series) }];
+    }))
+  }));
+  return { benchmark: id, name, dimensions: dimensions.map(d => d.dimension), curves };
+}
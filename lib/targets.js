@@ -0,0 +1,233 @@
+import fs from 'node:fs';
+import Redis from 'ioredis';
+import chalk from 'chalk';
+
+// Targets used when neither a config file nor --target flags are given
+export const DEFAULT_TARGETS = [
+  { name: 'redis', label: 'Redis', host: 'localhost', port: 6379, db: 0, color: 'blue' },
+  { name: 'dragonfly', label: 'DragonflyDB', host: 'localhost', port: 6380, db: 0, color: 'magenta' }
+];
+
+// Colors handed out to targets that don't pick one (chalk and blessed both know these)
+const PALETTE = ['blue', 'magenta', 'green', 'yellow', 'cyan', 'red', 'white'];
+
+// Parse a --target flag: "name=host:port[/db]" or just "host:port[/db]"
+export function parseTargetSpec(spec) {
+  const match = /^(?:([\w.-]+)=)?([^:/=]+)(?::(\d+))?(?:\/(\d+))?$/.exec(spec.trim());
+  if (!match) {
+    throw new Error(`Invalid target "${spec}" (expected name=host:port[/db])`);
+  }
+  const [, name, host, port, db] = match;
+  return {
+    name: name || `${host}:${port || 6379}`,
+    host,
+    port: port ? Number(port) : 6379,
+    db: db ? Number(db) : 0
+  };
+}
+
+// Credentials and TLS
+// A target names where its password lives ("passwordEnv" or "passwordFile"),
+// never the password itself; it is read only when a client connects, so it
+// can't leak into logs, exports, recordings or the browser view. "tls" is true
+// or { ca, cert, key, servername, rejectUnauthorized }, with PEM file paths;
+// servername sets SNI when it differs from host.
+const TLS_FILES = ['ca', 'cert', 'key'];
+
+function readPassword(target) {
+  if (target.passwordEnv) {
+    const password = process.env[target.passwordEnv];
+    if (password === undefined) {
+      throw new Error(`Target "${target.name}": environment variable ${target.passwordEnv} (passwordEnv) is not set`);
+    }
+    return password;
+  }
+  if (target.passwordFile) {
+    try {
+      return fs.readFileSync(target.passwordFile, 'utf8').replace(/\r?\n$/, '');
+    } catch (error) {
+      throw new Error(`Target "${target.name}": can't read passwordFile ${target.passwordFile} (${error.code})`);
+    }
+  }
+  return undefined;
+}
+
+// ioredis/tls.connect() options for a target, or undefined for plaintext
+function tlsOptions(target) {
+  if (!target.tls) return undefined;
+  const options = {};
+  for (const field of TLS_FILES) {
+    if (!target.tls[field]) continue;
+    try {
+      options[field] = fs.readFileSync(target.tls[field]);
+    } catch (error) {
+      throw new Error(`Target "${target.name}": can't read tls.${field} ${target.tls[field]} (${error.code})`);
+    }
+  }
+  if (target.tls.servername) options.servername = target.tls.servername;
+  if (target.tls.rejectUnauthorized === false) options.rejectUnauthorized = false;
+  return options;
+}
+
+// Seed nodes of a cluster target: "cluster" is true (seed from host:port) or a
+// list of "host:port" strings / { host, port } objects
+function clusterSeeds(target) {
+  const seeds = target.cluster === true ? [{ host: target.host, port: target.port }] : target.cluster;
+  if (!Array.isArray(seeds) || seeds.length === 0) {
+    throw new Error(`Target "${target.name}": "cluster" must be true or a list of "host:port" seed nodes`);
+  }
+  return seeds.map(seed => {
+    const [host, port] = typeof seed === 'string' ? seed.split(':') : [seed.host, seed.port];
+    return { host: host || 'localhost', port: Number(port || 6379) };
+  });
+}
+
+// Fill in defaults and validate a single target definition
+function normalizeTarget(target, idx) {
+  if (!target.name) {
+    throw new Error(`Target #${idx + 1} is missing a name`);
+  }
+  if (target.password !== undefined) {
+    throw new Error(`Target "${target.name}": keep the password out of the config file (use "passwordEnv" or "passwordFile")`);
+  }
+  if (target.tls !== undefined && target.tls !== true && target.tls !== false && typeof target.tls !== 'object') {
+    throw new Error(`Target "${target.name}": "tls" must be true or an object of TLS options`);
+  }
+  if (target.cluster && Number(target.db || 0) !== 0) {
+    throw new Error(`Target "${target.name}": a cluster only has database 0`);
+  }
+  const cluster = target.cluster ? clusterSeeds(target) : undefined;
+  return {
+    ...target,
+    name: String(target.name),
+    label: target.label || target.name,
+    host: cluster ? cluster[0].host : target.host || 'localhost',
+    port: cluster ? cluster[0].port : Number(target.port || 6379),
+    db: Number(target.db || 0),
+    color: target.color || PALETTE[idx % PALETTE.length],
+    tls: target.tls === true ? {} : target.tls || undefined,
+    cluster
+  };
+}
+
+// Build the target registry from a JSON config file and/or --target flags
+// Config files hold either an array of targets or { "targets": [...] }
+export function loadTargets({ config, target: specs = [] } = {}) {
+  let targets = [];
+
+  if (config) {
+    const parsed = JSON.parse(fs.readFileSync(config, 'utf8'));
+    targets.push(...(Array.isArray(parsed) ? parsed : parsed.targets || []));
+  }
+  targets.push(...specs.map(parseTargetSpec));
+
+  if (targets.length === 0) {
+    targets = DEFAULT_TARGETS;
+  }
+
+  const normalized = targets.map(normalizeTarget);
+  const seen = new Set();
+  for (const t of normalized) {
+    if (seen.has(t.name)) {
+      throw new Error(`Duplicate target name "${t.name}"`);
+    }
+    seen.add(t.name);
+    // Fail on a missing secret or certificate now rather than at the first connection
+    readPassword(t);
+    tlsOptions(t);
+  }
+  return normalized;
+}
+
+// Open a (lazy) ioredis connection to a target
+// `commandTimeout` (ms, from the target config or --timeout) fails commands that
+// get no reply in time instead of waiting forever on a stalled server. A run's
+// `namespace` (see namespace.js) becomes the key prefix; pass { keyPrefix: '' }
+// for a client that sees the whole database. A cluster target gets an ioredis
+// Cluster client (see cluster.js), with the connection settings applied to
+// every node.
+export function createClient(target, options = {}) {
+  const password = readPassword(target);
+  const tls = tlsOptions(target);
+  const connection = {
+    ...(target.username && { username: target.username }),
+    ...(password !== undefined && { password }),
+    ...(tls && { tls }),
+    ...(target.commandTimeout && { commandTimeout: target.commandTimeout })
+  };
+  let client;
+  if (target.cluster) {
+    const { keyPrefix = target.namespace, retryStrategy, ...nodeOptions } = options;
+    client = new Redis.Cluster(target.cluster, {
+      lazyConnect: true,
+      ...(keyPrefix && { keyPrefix }),
+      ...(retryStrategy && { clusterRetryStrategy: retryStrategy }),
+      redisOptions: { ...connection, ...nodeOptions }
+    });
+  } else {
+    client = new Redis({
+      host: target.host,
+      port: target.port,
+      db: target.db,
+      lazyConnect: true,
+      ...connection,
+      ...(target.namespace && { keyPrefix: target.namespace }),
+      ...options
+    });
+  }
+  // Lost connections show up as failed commands (see errors.js); without a
+  // listener ioredis would also log every reconnect attempt
+  client.on('error', () => {});
+  return client;
+}
+
+// Connect a lazy client, failing with the server's reason (e.g. WRONGPASS or a
+// certificate error) rather than ioredis' generic "Connection is closed"
+export async function connectClient(client) {
+  let reason = null;
+  const onError = error => { reason ??= error; };
+  client.on('error', onError);
+  try {
+    await client.connect();
+  } catch (error) {
+    throw reason || error;
+  } finally {
+    client.off('error', onError);
+  }
+}
+
+// Create multiple client connections
+export async function createClients(target, count) {
+  const clients = [];
+  for (let i = 0; i < count; i++) {
+    const client = createClient(target);
+    await connectClient(client);
+    clients.push(client);
+  }
+  return clients;
+}
+
+// Close multiple clients
+export async function closeClients(clients) {
+  await Promise.all(clients.map(c => c.disconnect()));
+}
+
+// chalk style for a target's color (named color or #hex)
+export function paint(target) {
+  if (target.color.startsWith('#')) return chalk.hex(target.color);
+  return chalk[target.color] || chalk.white;
+}
+
+// chalk background style for a target's color
+export function paintBg(target) {
+  if (target.color.startsWith('#')) return chalk.bgHex(target.color);
+  const name = `bg${target.color[0].toUpperCase()}${target.color.slice(1)}`;
+  return chalk[name] || chalk.bgWhite;
+}
+
+// "user@host:port/db (TLS)" — never includes the password
+export function describeTarget(target) {
+  const user = target.username ? `${target.username}@` : '';
+  const kind = [target.cluster && `cluster, ${target.cluster.length} seed${target.cluster.length === 1 ? '' : 's'}`, target.tls && 'TLS'].filter(Boolean);
+  return `${user}${target.host}:${target.port}${target.db ? `/${target.db}` : ''}${kind.length ? ` (${kind.join(', ')})` : ''}`;
+}
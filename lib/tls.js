@@ -0,0 +1,84 @@
+import { Histogram } from './histogram.js';
+import { createClient, connectClient } from './targets.js';
+
+// TLS vs plaintext
+// A TLS target that sets "plaintextPort" (the same server's non-TLS port) can
+// be measured both ways with --tls-compare: the suite runs against a plaintext
+// twin as well, and a handshake probe times fresh connections on each side —
+// TCP connect, TLS handshake, AUTH and the ready check.
+
+const HANDSHAKE_SAMPLES = 50;
+
+// The plaintext side of a TLS target
+export function plaintextTwin(target) {
+  return {
+    ...target,
+    name: `${target.name}-plain`,
+    label: `${target.label} (plain)`,
+    port: Number(target.plaintextPort),
+    color: 'gray',
+    tls: undefined,
+    plaintextPort: undefined
+  };
+}
+
+// Insert each comparable TLS target's twin right after it
+// Returns the expanded target list and the [tls, plaintext] pairs.
+export function addPlaintextTwins(targets) {
+  const pairs = [];
+  const expanded = targets.flatMap(target => {
+    if (!target.tls || !target.plaintextPort) return [target];
+    if (target.cluster) {
+      throw new Error(`--tls-compare: cluster target "${target.name}" has no single plaintext port to compare against`);
+    }
+    const twin = plaintextTwin(target);
+    if (targets.some(t => t.name === twin.name)) {
+      throw new Error(`--tls-compare: target name "${twin.name}" is already taken`);
+    }
+    pairs.push([target, twin]);
+    return [target, twin];
+  });
+  if (pairs.length === 0) {
+    throw new Error('--tls-compare needs a target with "tls" and "plaintextPort" in the config file');
+  }
+  return { targets: expanded, pairs };
+}
+
+// Latency summary of opening `count` connections one after another, each until ready
+export async function measureHandshake(target, count = HANDSHAKE_SAMPLES) {
+  const histogram = new Histogram();
+  for (let i = 0; i < count; i++) {
+    const client = createClient(target, { retryStrategy: () => null });
+    const start = performance.now();
+    await connectClient(client);
+    histogram.record(performance.now() - start);
+    client.disconnect();
+  }
+  return histogram.summary();
+}
+
+// Per pair: handshake cost and the throughput/p99 of every benchmark on both sides
+// `handshakes` maps target name → measureHandshake() summary.
+export function compareTls(pairs, benchmarks, handshakes) {
+  return pairs.map(([secure, plain]) => ({
+    target: secure.name,
+    plaintext: plain.name,
+    handshake: {
+      tls: handshakes[secure.name],
+      plaintext: handshakes[plain.name],
+      overhead: handshakes[secure.name].p50 - handshakes[plain.name].p50
+    },
+    benchmarks: benchmarks.map(({ id, name, results }) => {
+      const tls = results[secure.name];
+      const plaintext = results[plain.name];
+      return {
+        id,
+        name,
+        tls: { opsPerSecond: tls.opsPerSecond, p99: tls.latency.p99 },
+        plaintext: { opsPerSecond: plaintext.opsPerSecond, p99: plaintext.latency.p99 },
+        // Share of plaintext throughput lost to TLS (negative when TLS came out ahead)
+        overhead: plaintext.opsPerSecond ? 1 - tls.opsPerSecond / plaintext.opsPerSecond : null
+      };
+    })
+  }));
+}
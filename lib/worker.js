@@ -0,0 +1,53 @@
+import { parentPort } from 'node:worker_threads';
+import { prepareClients, driveClients } from './workload.js';
+import { closeClients } from './targets.js';
+import { startLoadMonitor } from './loadgen.js';
+
+// Load worker
+// Runs as a worker thread or a forked child process (see loadgen.js). The
+// coordinator sends one job: connect clients [first, first + count) of a
+// workload, wait for the start signal, drive them, report the stats and this
+// event loop's load, then exit.
+
+const channel = parentPort || process;
+
+// Resolves once the child process' IPC message is handed over, so exiting
+// right after doesn't lose it
+const send = message => parentPort
+  ? Promise.resolve(parentPort.postMessage(message))
+  : new Promise(resolve => process.send(message, resolve));
+
+// The next message of one type from the coordinator
+function receive(type) {
+  return new Promise(resolve => {
+    const listener = message => {
+      if (message.type !== type) return;
+      channel.off('message', listener);
+      resolve(message);
+    };
+    channel.on('message', listener);
+  });
+}
+
+async function main() {
+  const job = await receive('prepare');
+  const prepared = await prepareClients(job.workload, job.target, job.seed, job.first, job.count);
+  const signal = receive('start');
+  await send({ type: 'ready' });
+
+  // The start time comes as an epoch time, since clocks differ between threads and processes
+  const start = (await signal).at - performance.timeOrigin;
+  await new Promise(resolve => setTimeout(resolve, Math.max(0, start - performance.now())));
+  const monitor = startLoadMonitor();
+  const { counts, stats } = await driveClients(job.workload, prepared, job.seed, start, job.timeline);
+  const finishedAt = performance.timeOrigin + performance.now();
+  await send({ type: 'done', counts, stats, finishedAt, load: monitor.stop() });
+
+  await closeClients(prepared.clients);
+  if (!parentPort) process.disconnect();
+}
+
+main().catch(async error => {
+  await send({ type: 'error', message: error.message });
+  process.exit(1);
+});
@@ -0,0 +1,544 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import ora from 'ora';
+import YAML from 'yaml';
+import { Histogram, timed, formatLatency } from './histogram.js';
+import { createClients, closeClients } from './targets.js';
+import { ErrorCounter, describeErrors } from './errors.js';
+import { Timeline, scheduleChaos, analyzeChaos } from './chaos.js';
+import { unprefixedArgs } from './namespace.js';
+import { masters, sendCommand, pipeline as createPipeline } from './cluster.js';
+import { startWorkers, describeWorkers, startLoadMonitor, summarizeLoad, describeSaturation } from './loadgen.js';
+import { generateValue, createRandom, parseDistribution, formatDistribution, createKeyChooser } from './data.js';
+
+// Declarative workloads
+// A workload file (JSON or YAML) describes a command mix, dataset and client
+// setup; runWorkload() executes it and reports like the built-in benchmarks.
+//
+//   id: pipelined-mixed
+//   name: Mixed Workload
+//   clients: 10            # concurrent connections
+//   pipeline: 250          # commands per round trip (1 = no pipelining)
+//   ops: 250000            # total commands across all clients...
+//   duration: 30           # ...or run for N seconds instead
+//   rate: 50000            # optional: open-loop at N commands/sec across all clients
+//   keyspace: 100000       # number of distinct {key} values
+//   keyPrefix: mixed       # {key} expands to <keyPrefix>:<n>
+//   keyDistribution: zipfian:0.99  # uniform | zipfian[:skew] | hotspot[:hot:ops] | sequential | latest[:skew]
+//   valueSize: 512         # or { min: 64, max: 4096 } or [{ size: 100, weight: 9 }, ...]
+//   setup:                 # optional dataset loaded before timing starts
+//     - { command: SET, args: ['{key}', '{value}'], count: 100000 }
+//   commands:              # picked by weighted round robin according to ratio
+//     - { command: SET, args: ['{key}', '{value}'], ratio: 1 }
+//     - { command: GET, args: ['{key}'], ratio: 1 }
+//
+// Placeholders: {key} {newkey} {value} {score} {client} {i}. {key} picks an
+// existing key by keyDistribution; {newkey} inserts past the initial keyspace
+// (and is what "latest" favours). `repeat: n` repeats the
+// args n times in one command (MSET/MGET batches) and counts as n ops;
+// `iterate: true` follows a SCAN-style cursor to completion as one op.
+
+const DEFAULTS = {
+  clients: 1,
+  pipeline: 1,
+  keyspace: 10000,
+  valueSize: 256,
+  keyDistribution: 'sequential'
+};
+
+const PLACEHOLDERS = ['key', 'newkey', 'value', 'score', 'client', 'i'];
+const SETUP_BATCH = 5000;
+const VALUE_POOL_SIZE = 64;
+
+// The workload files shipped in workloads/
+export function bundledWorkloadFiles() {
+  const dir = fileURLToPath(new URL('../workloads/', import.meta.url));
+  return fs.readdirSync(dir)
+    .filter(file => /\.(ya?ml|json)$/.test(file))
+    .sort()
+    .map(file => path.join(dir, file));
+}
+
+export function loadWorkloadFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const ext = path.extname(file).toLowerCase();
+  const raw = ext === '.yaml' || ext === '.yml' ? YAML.parse(text) : JSON.parse(text);
+  return normalizeWorkload(raw, file);
+}
+
+// Validate a parsed workload and fill in defaults
+export function normalizeWorkload(raw, source = 'workload') {
+  const fail = message => { throw new Error(`${source}: ${message}`); };
+
+  if (!raw || typeof raw !== 'object') fail('expected an object');
+  const id = raw.id || path.basename(source, path.extname(source));
+  const workload = { ...DEFAULTS, ...raw, id };
+  workload.name = raw.name || id;
+  workload.keyPrefix = raw.keyPrefix || id;
+  workload.setup = raw.setup || [];
+  workload.cleanup = raw.cleanup || [`${workload.keyPrefix}:*`];
+
+  for (const field of ['clients', 'pipeline', 'keyspace']) {
+    if (!Number.isInteger(workload[field]) || workload[field] < 1) {
+      fail(`"${field}" must be a positive integer`);
+    }
+  }
+  if (raw.ops === undefined && raw.duration === undefined) {
+    fail('set either "ops" or "duration"');
+  }
+  if (raw.ops !== undefined && !(Number.isInteger(raw.ops) && raw.ops > 0)) fail('"ops" must be a positive integer');
+  if (raw.duration !== undefined && !(raw.duration > 0)) fail('"duration" must be a positive number of seconds');
+  if (raw.rate !== undefined && !(raw.rate > 0)) fail('"rate" must be a positive number of commands per second');
+
+  if (!Array.isArray(raw.commands) || raw.commands.length === 0) {
+    fail('"commands" must list at least one command');
+  }
+  workload.commands = raw.commands.map((cmd, idx) => {
+    if (!cmd.command) fail(`commands[${idx}] is missing "command"`);
+    const ratio = cmd.ratio === undefined ? 1 : Number(cmd.ratio);
+    if (!(ratio > 0)) fail(`commands[${idx}].ratio must be positive`);
+    if (cmd.iterate && workload.pipeline > 1) fail(`commands[${idx}] uses "iterate", which cannot be pipelined`);
+    return { args: [], repeat: 1, ...cmd, command: String(cmd.command).toUpperCase(), ratio };
+  });
+  workload.setup = workload.setup.map((step, idx) => {
+    if (!step.command) fail(`setup[${idx}] is missing "command"`);
+    return { args: [], count: 1, repeat: 1, ...step, command: String(step.command).toUpperCase() };
+  });
+
+  for (const cmd of [...workload.commands, ...workload.setup]) {
+    for (const [, name] of cmd.args.join(' ').matchAll(/\{(\w+)\}/g)) {
+      if (!PLACEHOLDERS.includes(name)) fail(`${cmd.command} uses unknown placeholder {${name}}`);
+    }
+  }
+
+  parseValueSize(workload.valueSize, fail);
+  try {
+    workload.keyDistribution = parseDistribution(workload.keyDistribution);
+  } catch (error) {
+    fail(error.message);
+  }
+  workload.detail = raw.detail || `${workload.clients} client${workload.clients === 1 ? '' : 's'}`;
+  return workload;
+}
+
+// Value size spec: a number, { min, max } or a weighted list of { size, weight }
+function parseValueSize(spec, fail) {
+  if (typeof spec === 'number' && spec >= 0) return [{ size: spec, weight: 1 }];
+  if (Array.isArray(spec) && spec.every(s => s.size >= 0)) {
+    return spec.map(s => ({ size: s.size, weight: s.weight ?? 1 }));
+  }
+  if (spec && spec.min >= 0 && spec.max >= spec.min) return spec;
+  return fail('"valueSize" must be a number, { min, max } or [{ size, weight }]');
+}
+
+function pickValueSize(sizes, random) {
+  if (!Array.isArray(sizes)) {
+    return sizes.min + Math.floor(random() * (sizes.max - sizes.min + 1));
+  }
+  const total = sizes.reduce((sum, s) => sum + s.weight, 0);
+  let roll = random() * total;
+  for (const s of sizes) {
+    roll -= s.weight;
+    if (roll < 0) return s.size;
+  }
+  return sizes[sizes.length - 1].size;
+}
+
+// Pre-generated values so the client isn't busy building strings while timing
+function buildValuePool(workload, random) {
+  const sizes = parseValueSize(workload.valueSize);
+  const fixed = Array.isArray(sizes) && sizes.length === 1;
+  const count = fixed ? 1 : VALUE_POOL_SIZE;
+  return Array.from({ length: count }, () => generateValue(pickValueSize(sizes, random), random));
+}
+
+// Compile "player:{i}"-style templates into functions of a generator context
+function compileArg(arg) {
+  const text = String(arg);
+  if (!text.includes('{')) return () => text;
+  const parts = text.split(/(\{\w+\})/).filter(Boolean);
+  return ctx => parts.map(part => {
+    const match = /^\{(\w+)\}$/.exec(part);
+    if (!match) return part;
+    const source = ctx[match[1]];
+    return typeof source === 'function' ? source() : source;
+  }).join('');
+}
+
+// Patterns, channels and other names the client's keyPrefix misses get the namespace here
+function compileCommand(cmd, namespace = '') {
+  const prefixed = new Set(namespace ? unprefixedArgs(cmd.command, cmd.args) : []);
+  const args = cmd.args.map(compileArg).map((arg, idx) => prefixed.has(idx) ? ctx => namespace + arg(ctx) : arg);
+  return {
+    ...cmd,
+    build(ctx) {
+      const out = [];
+      for (let r = 0; r < cmd.repeat; r++) {
+        for (const arg of args) out.push(arg(ctx));
+      }
+      return out;
+    }
+  };
+}
+
+// Smooth weighted round robin: exact ratios, evenly interleaved, no randomness
+function createPicker(commands) {
+  const total = commands.reduce((sum, c) => sum + c.ratio, 0);
+  const current = commands.map(() => 0);
+  return () => {
+    let best = 0;
+    for (let i = 0; i < commands.length; i++) {
+      current[i] += commands[i].ratio;
+      if (current[i] > current[best]) best = i;
+    }
+    current[best] -= total;
+    return commands[best];
+  };
+}
+
+// Generator context for one client, driven by its own seeded PRNG stream
+function createContext(workload, valuePool, clientIdx, random, distribution = workload.keyDistribution) {
+  const chooser = createKeyChooser(distribution, workload.keyspace, random, clientIdx, workload.clients);
+  let valueCursor = clientIdx;
+  return {
+    client: clientIdx,
+    i: 0,
+    key: () => `${workload.keyPrefix}:${chooser.next()}`,
+    newkey: () => `${workload.keyPrefix}:${chooser.insert()}`,
+    value: () => valuePool[valueCursor++ % valuePool.length],
+    score: () => (random() * 1000000).toFixed(3)
+  };
+}
+
+// Run a SCAN-family command until its cursor wraps around
+// On a cluster, SCAN walks every master in turn; HSCAN and friends follow one key.
+async function iterateCursor(client, command, args) {
+  const cursorAt = command === 'SCAN' ? 0 : 1;
+  for (const node of command === 'SCAN' ? masters(client) : [client]) {
+    let cursor = '0';
+    do {
+      const callArgs = [...args];
+      callArgs.splice(cursorAt, 0, cursor);
+      const [next] = await node.call(command, ...callArgs);
+      cursor = next;
+    } while (cursor !== '0');
+  }
+}
+
+// Load the workload's dataset with pipelined batches ({key} walks the keyspace in order)
+async function runSetup(workload, client, valuePool, random, namespace) {
+  const ctx = createContext({ ...workload, clients: 1 }, valuePool, 0, random, { type: 'sequential' });
+  for (const step of workload.setup) {
+    const command = compileCommand(step, namespace);
+    for (let batch = 0; batch < step.count; batch += SETUP_BATCH) {
+      const pipeline = createPipeline(client);
+      for (let i = batch; i < Math.min(batch + SETUP_BATCH, step.count); i++) {
+        ctx.i = i;
+        pipeline.call(command.command, ...command.build(ctx));
+      }
+      await pipeline.exec();
+    }
+  }
+}
+
+// Build the next request for a client: one command, or a pipeline of up to
+// `workload.pipeline` commands. `send()` issues it and resolves on completion.
+function buildRequest(workload, client, ctx, pick, remaining) {
+  if (workload.pipeline === 1) {
+    const cmd = pick();
+    ctx.i += 1;
+    const args = cmd.build(ctx);
+    const send = cmd.iterate
+      ? () => iterateCursor(client, cmd.command, args)
+      : () => sendCommand(client, cmd.command, args);
+    return { send, ops: cmd.repeat, commands: 1, pipelined: false };
+  }
+
+  const pipeline = createPipeline(client);
+  let ops = 0;
+  let commands = 0;
+  while (commands < workload.pipeline && ops < remaining) {
+    const cmd = pick();
+    ctx.i += 1;
+    pipeline.call(cmd.command, ...cmd.build(ctx));
+    ops += cmd.repeat;
+    commands++;
+  }
+  return { send: () => pipeline.exec(), ops, commands, pipelined: true };
+}
+
+// Count a finished request: failed commands go to stats.errors, and with a
+// chaos timeline every outcome is placed in time
+function settle(stats, request, reply, error) {
+  if (error) {
+    stats.errors.record(error, request.commands);
+    stats.timeline?.record(false, request.commands);
+    return;
+  }
+  const failed = stats.errors.total;
+  if (request.pipelined) stats.errors.recordReplies(reply);
+  const ok = request.commands - (stats.errors.total - failed);
+  stats.timeline?.record(true, ok);
+  if (ok < request.commands) stats.timeline?.record(false, request.commands - ok);
+}
+
+// One client's closed loop: each request waits for the previous one's reply
+async function runClient(workload, client, ctx, commands, stats, quota, deadline) {
+  const pick = createPicker(commands);
+  let done = 0;
+
+  while (done < quota && performance.now() < deadline) {
+    const request = buildRequest(workload, client, ctx, pick, quota - done);
+    await timed(stats.latency, request.send).then(
+      reply => settle(stats, request, reply),
+      error => settle(stats, request, null, error)
+    );
+    done += request.ops;
+    stats.commands += request.commands;
+  }
+  return done;
+}
+
+const MAX_INFLIGHT = 10000;
+const YIELD_EVERY = 64;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// One client's open loop: requests go out on a fixed schedule whether or not
+// earlier ones have completed. Latency is measured from the *intended* send
+// time, so a server stall shows up as queueing delay instead of being hidden
+// by a slower request rate (coordinated omission).
+async function runClientOpenLoop(workload, client, ctx, commands, stats, quota, deadline, schedule) {
+  const pick = createPicker(commands);
+  const inflight = new Set();
+  let done = 0;
+  let sentSinceYield = 0;
+
+  for (let n = 0; done < quota; n++) {
+    const intended = schedule.start + n * schedule.interval;
+    if (intended >= deadline) break;
+
+    let now = performance.now();
+    if (intended > now) {
+      await sleep(intended - now);
+      sentSinceYield = 0;
+      now = performance.now();
+    }
+    while (inflight.size >= MAX_INFLIGHT) {
+      await Promise.race(inflight);
+      now = performance.now();
+    }
+    stats.maxSendLag = Math.max(stats.maxSendLag, now - intended);
+
+    const request = buildRequest(workload, client, ctx, pick, quota - done);
+    done += request.ops;
+    stats.commands += request.commands;
+    stats.requests++;
+
+    const sentAt = performance.now();
+    const complete = reply => {
+      const finished = performance.now();
+      stats.latency.record(finished - intended);
+      stats.serviceTime.record(finished - sentAt);
+      settle(stats, request, reply);
+      inflight.delete(pending);
+    };
+    const fail = error => {
+      settle(stats, request, null, error);
+      inflight.delete(pending);
+    };
+    const pending = request.send().then(complete, fail);
+    inflight.add(pending);
+
+    // Behind schedule we send back-to-back; let replies get processed now and then
+    if (++sentSinceYield >= YIELD_EVERY) {
+      await new Promise(resolve => setImmediate(resolve));
+      sentSinceYield = 0;
+    }
+  }
+
+  await Promise.all(inflight);
+  return done;
+}
+
+// Open loop: each connection sends every this many ms; starts are staggered to spread the load
+const sendInterval = workload => (1000 * workload.pipeline * workload.clients) / workload.rate;
+
+// A run counts as sustained when it completed at least this share of the requested rate
+const SUSTAINED_RATIO = 0.95;
+
+// Connections, values and compiled commands for clients [first, first + count)
+// of a workload; a load worker (see loadgen.js) prepares just its own share
+export async function prepareClients(workload, target, seed, first = 0, count = workload.clients) {
+  return {
+    clients: await createClients(target, count),
+    first,
+    valuePool: buildValuePool(workload, createRandom(`${seed}:${workload.id}:values`)),
+    commands: workload.commands.map(cmd => compileCommand(cmd, target.namespace))
+  };
+}
+
+// Run prepared clients from `start` (a performance.now() time) until the
+// workload's ops or duration are used up. Resolves to the ops each client
+// completed and the stats they filled in; with `timeline` every outcome is
+// also placed in time (see chaos.js).
+export async function driveClients(workload, prepared, seed, start, timeline = false) {
+  const { rate } = workload;
+  const stats = { latency: new Histogram(), serviceTime: new Histogram(), errors: new ErrorCounter(), commands: 0, requests: 0, maxSendLag: 0 };
+  if (timeline) stats.timeline = new Timeline(start);
+  const deadline = workload.duration ? start + workload.duration * 1000 : Infinity;
+  const quotaPerClient = workload.ops ? Math.ceil(workload.ops / workload.clients) : Infinity;
+
+  const interval = sendInterval(workload);
+
+  const counts = await Promise.all(prepared.clients.map((client, idx) => {
+    const clientIdx = prepared.first + idx;
+    const ctx = createContext(workload, prepared.valuePool, clientIdx, createRandom(`${seed}:${workload.id}:client:${clientIdx}`));
+    if (!rate) {
+      return runClient(workload, client, ctx, prepared.commands, stats, quotaPerClient, deadline);
+    }
+    const schedule = { start: start + (clientIdx * interval) / workload.clients, interval };
+    return runClientOpenLoop(workload, client, ctx, prepared.commands, stats, quotaPerClient, deadline, schedule);
+  }));
+  return { counts, stats };
+}
+
+// Execute a workload against one target
+// Every PRNG stream is derived from `seed`, so each target gets the same commands.
+// With a `rate` (commands/sec across all clients) the workload runs open-loop.
+// `silent` hides the spinner (the dashboard draws its own UI); `skipSetup`
+// reuses a dataset loaded by an earlier run. A `chaos` plan (see chaos.js)
+// takes the target down partway through and reports how it recovered. A
+// `workers` plan (see loadgen.js) spreads the clients over worker threads or
+// processes; either way the result reports how loaded the client side was.
+export async function runWorkload(workload, target, label, { seed = 'default', silent = false, skipSetup = false, chaos = null, workers = null } = {}) {
+  const { rate } = workload;
+  const spinner = ora({ text: `${label}: Preparing ${workload.name}...`, isSilent: silent }).start();
+
+  // With workers the clients connect inside them, and this process only loads the dataset
+  const local = workers ? null : await prepareClients(workload, target, seed);
+  if (!skipSetup) {
+    const [client] = local ? local.clients : await createClients(target, 1);
+    const valuePool = buildValuePool(workload, createRandom(`${seed}:${workload.id}:values`));
+    await runSetup(workload, client, valuePool, createRandom(`${seed}:${workload.id}:setup`), target.namespace);
+    if (!local) await closeClients([client]);
+  }
+  const pool = workers ? await startWorkers(workload, target, seed, workers, { timeline: Boolean(chaos) }) : null;
+
+  const spread = pool ? ` on ${describeWorkers(pool.size, workers.mode)}` : '';
+  spinner.text = rate
+    ? `${label}: Running ${workload.name} open-loop at ${rate.toLocaleString()} cmd/s${spread}...`
+    : `${label}: Running ${workload.name}${spread}...`;
+
+  const monitor = startLoadMonitor();
+  const start = pool ? pool.start() : performance.now();
+  const outage = chaos ? scheduleChaos(chaos, target, start) : null;
+  let counts, stats, end, workerLoads;
+  if (pool) {
+    ({ counts, stats, end, loads: workerLoads } = await pool.finish());
+  } else {
+    ({ counts, stats } = await driveClients(workload, local, seed, start, Boolean(chaos)));
+    end = performance.now();
+  }
+  const load = summarizeLoad(workers, monitor.stop(), workerLoads);
+
+  const duration = end - start;
+  const totalOps = counts.reduce((a, b) => a + b, 0);
+  const opsPerSecond = Math.round((totalOps / duration) * 1000);
+
+  // An outage still in progress is seen through, so the target is back up for whatever runs next
+  const event = await outage?.cancel();
+  if (local) await closeClients(local.clients);
+
+  const latency = stats.latency.summary();
+  const result = { duration, opsPerSecond, totalOps, latency, histogram: stats.latency, errors: stats.errors.summary(), loadGenerator: load };
+  if (chaos) result.chaos = analyzeChaos(chaos, stats.timeline, event, end);
+
+  const problems = [];
+  if (result.errors.total > 0) problems.push(`${result.errors.total.toLocaleString()} failed (${describeErrors(result.errors)})`);
+  if (result.chaos?.hookErrors?.length) problems.push(`chaos hook failed: ${result.chaos.hookErrors.join('; ')}`);
+  if (load.saturated) problems.push(describeSaturation(load));
+  const suffix = problems.map(problem => ` — ${problem}`).join('');
+
+  if (rate) {
+    // Measure over at least the scheduled window, so a short run that ends right
+    // after its last send doesn't look faster than requested
+    const window = Math.max(duration, (stats.requests / workload.clients) * sendInterval(workload));
+    const achievedRate = Math.round((stats.commands / window) * 1000);
+    result.serviceTime = stats.serviceTime.summary();
+    result.serviceTimeHistogram = stats.serviceTime;
+    result.openLoop = {
+      targetRate: rate,
+      achievedRate,
+      sustained: achievedRate >= rate * SUSTAINED_RATIO,
+      maxSendLag: stats.maxSendLag
+    };
+    const verdict = result.openLoop.sustained ? 'sustained' : 'NOT sustained';
+    const message = `${label}: ${achievedRate.toLocaleString()}/${rate.toLocaleString()} cmd/s (${verdict}), p99 ${formatLatency(latency.p99)} from intended send${suffix}`;
+    if (result.openLoop.sustained && problems.length === 0) spinner.succeed(message);
+    else spinner.warn(message);
+    return result;
+  }
+
+  const message = `${label}: ${totalOps.toLocaleString()} ops in ${(duration/1000).toFixed(2)}s (${opsPerSecond.toLocaleString()} ops/sec, p99 ${formatLatency(latency.p99)})${suffix}`;
+  if (problems.length === 0) spinner.succeed(message);
+  else spinner.warn(message);
+
+  return result;
+}
+
+// Average payload size, for the per-key memory overhead
+function meanValueSize(spec) {
+  const sizes = parseValueSize(spec);
+  if (!Array.isArray(sizes)) return (sizes.min + sizes.max) / 2;
+  const total = sizes.reduce((sum, s) => sum + s.weight, 0);
+  return sizes.reduce((sum, s) => sum + s.size * s.weight, 0) / total;
+}
+
+function usesValues(workload) {
+  return [...workload.setup, ...workload.commands].some(cmd => cmd.args.some(arg => String(arg).includes('{value}')));
+}
+
+// Parameters recorded with results and exports
+export function workloadParams(workload) {
+  const params = {
+    clients: workload.clients,
+    pipeline: workload.pipeline,
+    keyspace: workload.keyspace,
+    keyDistribution: formatDistribution(workload.keyDistribution),
+    valueSize: typeof workload.valueSize === 'number' ? workload.valueSize : JSON.stringify(workload.valueSize),
+    mix: workload.commands.map(c => `${c.command}:${c.ratio}`).join(' ')
+  };
+  if (workload.ops) params.ops = workload.ops;
+  if (workload.duration) params.duration = workload.duration;
+  if (workload.rate) params.rate = workload.rate;
+  return params;
+}
+
+// Adapt a workload to the benchmark descriptor shape used by runBenchmarks
+export function workloadBenchmark(workload) {
+  return {
+    id: workload.id,
+    name: workload.name,
+    detail: workload.detail,
+    heading: (workload.heading || workload.name).toUpperCase(),
+    description: workload.description || `Workload file: ${workload.commands.map(c => c.command).join(', ')}`,
+    params: workloadParams(workload),
+    keys: workload.cleanup,
+    valueBytes: usesValues(workload) ? meanValueSize(workload.valueSize) : null,
+    // Sweeps vary clients, pipeline and valueSize through params; a valueSize
+    // distribution shows up in params as JSON and stays as the file defined it
+    sweep: {
+      clients: 'clients',
+      ...(!workload.commands.some(c => c.iterate) && { pipeline: 'pipeline' }),
+      ...(usesValues(workload) && { valueSize: 'valueSize' })
+    },
+    run: (target, label, params, context) => runWorkload({
+      ...workload,
+      clients: params.clients,
+      pipeline: params.pipeline,
+      valueSize: typeof params.valueSize === 'number' ? params.valueSize : workload.valueSize
+    }, target, label, context)
+  };
+}
@@ -0,0 +1,49 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import chalk from 'chalk';
+import { renderReport } from './lib/report.js';
+
+// ============================================
+// HTML report
+// Turns a saved run (--output results/run.json, or a baseline) into one
+// self-contained HTML file
+// ============================================
+
+function outputPath(input) {
+  const { dir, name } = path.parse(input);
+  return path.join(dir, `${name}.html`);
+}
+
+function main() {
+  const { values: options, positionals } = parseArgs({
+    options: {
+      output: { type: 'string', short: 'o' }
+    },
+    allowPositionals: true
+  });
+  if (positionals.length === 0) {
+    throw new Error('Usage: npm run report -- <run.json>... [-o report.html]');
+  }
+  if (options.output && positionals.length > 1) {
+    throw new Error('--output names one file; pass one run at a time or omit it');
+  }
+
+  for (const input of positionals) {
+    const run = JSON.parse(fs.readFileSync(input, 'utf8'));
+    if (!Array.isArray(run.benchmarks) || !Array.isArray(run.targets)) {
+      throw new Error(`${input} is not a benchmark run (expected the JSON written by --output)`);
+    }
+    const file = options.output || outputPath(input);
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, renderReport(run));
+    console.log(chalk.gray(`📄 Wrote HTML report for ${input} to ${file}`));
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(chalk.red(error.message));
+  process.exitCode = 1;
+}
@@ -0,0 +1,16 @@
+#!/bin/sh
+# Chaos hook for the docker compose setup (see lib/chaos.js)
+# Usage: chaos.sh <kill|start|pause|resume> <target name>
+# Target "redis" is the redis-benchmark container, and so on; set
+# CHAOS_CONTAINER to aim at a different one.
+set -e
+
+container="${CHAOS_CONTAINER:-$2-benchmark}"
+
+case "$1" in
+  kill) docker kill "$container" >/dev/null ;;
+  start) docker start "$container" >/dev/null ;;
+  pause) docker pause "$container" >/dev/null ;;
+  resume) docker unpause "$container" >/dev/null ;;
+  *) echo "chaos.sh: unknown action \"$1\"" >&2; exit 2 ;;
+esac
@@ -0,0 +1,28 @@
+#!/bin/sh
+# Local Redis Cluster for the docker compose "cluster" profile
+# Starts one cluster-enabled redis-server per port, joins them into a cluster
+# of masters (no replicas) on first start, then follows their logs.
+set -e
+
+PORTS="${CLUSTER_PORTS:-7000 7001 7002 7003}"
+
+nodes=""
+for port in $PORTS; do
+  mkdir -p "/data/$port"
+  redis-server --port "$port" --dir "/data/$port" --cluster-enabled yes \
+    --cluster-config-file nodes.conf --cluster-announce-ip 127.0.0.1 \
+    --appendonly no --save "" \
+    --daemonize yes --logfile "/data/$port/redis.log"
+  nodes="$nodes 127.0.0.1:$port"
+done
+
+for port in $PORTS; do
+  until redis-cli -p "$port" ping >/dev/null 2>&1; do sleep 0.2; done
+done
+
+first="${PORTS%% *}"
+if ! redis-cli -p "$first" cluster info | grep -q 'cluster_state:ok'; then
+  redis-cli --cluster create $nodes --cluster-replicas 0 --cluster-yes
+fi
+
+exec tail -F /data/*/redis.log
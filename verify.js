@@ -0,0 +1,198 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import ora from 'ora';
+import { loadTargets, createClient, connectClient, paint, describeTarget } from './lib/targets.js';
+import { DEFAULT_CORPUS, STATUSES, loadCorpus, runCorpus, buildReport } from './lib/compat.js';
+
+// ============================================
+// Compatibility verification
+// Every corpus command runs against every target; replies are compared with
+// the reference target (the first one, unless --reference names another)
+// ============================================
+
+const DETAIL_WIDTH = 30;
+
+function truncate(text, width = DETAIL_WIDTH) {
+  return text.length > width ? `${text.slice(0, width - 1)}…` : text;
+}
+
+function printHeader(reference, cases) {
+  console.log('\n');
+  console.log(chalk.bgMagenta.white.bold('                                                                              '));
+  console.log(chalk.bgMagenta.white.bold('   🔍 Command Compatibility Verification                                       '));
+  console.log(chalk.bgMagenta.white.bold('                                                                              '));
+  console.log('\n');
+  console.log(chalk.gray(`   ${cases.length} commands, compared against ${reference.label} (${describeTarget(reference)})\n`));
+}
+
+// Group × target grid of how many cases matched
+function printMatrix(report, targets) {
+  const others = targets.filter(t => t.name !== report.reference);
+
+  console.log('\n');
+  console.log(chalk.yellow.bold('🧮 COMPATIBILITY MATRIX'));
+  console.log(chalk.gray('━'.repeat(100)));
+
+  const table = new Table({
+    head: [chalk.cyan.bold('Group'), ...others.map(t => paint(t).bold(t.label))],
+    colWidths: [18, ...others.map(() => 36)],
+    style: {
+      head: [],
+      border: ['gray']
+    },
+    wordWrap: true
+  });
+
+  for (const [group, cells] of Object.entries(report.matrix)) {
+    table.push([
+      chalk.white(group),
+      ...others.map(target => {
+        const cell = cells[target.name];
+        const issues = Object.keys(STATUSES)
+          .filter(status => status !== 'match' && cell[status] > 0)
+          .map(status => `${cell[status]} ${STATUSES[status].toLowerCase()}`);
+        const score = `${cell.match}/${cell.total}`;
+        return issues.length === 0
+          ? chalk.green(`✓ ${score}`)
+          : chalk.yellow(`${score}`) + chalk.gray(` · ${issues.join(' · ')}`);
+      })
+    ]);
+  }
+
+  table.push([
+    chalk.white.bold('Total'),
+    ...others.map(target => {
+      const { match, total, percent } = report.totals[target.name];
+      const color = match === total ? chalk.green.bold : chalk.yellow.bold;
+      return color(`${match}/${total} (${percent.toFixed(1)}%)`);
+    })
+  ]);
+
+  console.log(table.toString());
+}
+
+// Every case where a target did not match the reference
+function printDivergences(report, targets) {
+  const reference = targets.find(t => t.name === report.reference);
+  const rows = report.cases.flatMap(row => Object.entries(row.results)
+    .filter(([, result]) => result.status !== 'match')
+    .map(([name, result]) => ({ row, target: targets.find(t => t.name === name), result })));
+
+  if (rows.length === 0) {
+    console.log(chalk.green.bold('\n✅ Every target matched the reference on every command.\n'));
+    return;
+  }
+
+  console.log('\n');
+  console.log(chalk.yellow.bold(`⚠️  DIVERGENCES (${rows.length})`));
+  console.log(chalk.gray('━'.repeat(100)));
+
+  const table = new Table({
+    head: [
+      chalk.cyan.bold('Command'),
+      chalk.cyan.bold('Target'),
+      chalk.cyan.bold('Kind'),
+      paint(reference).bold(reference.label),
+      chalk.cyan.bold('Got')
+    ],
+    colWidths: [30, 14, 24, DETAIL_WIDTH + 2, DETAIL_WIDTH + 2],
+    style: {
+      head: [],
+      border: ['gray']
+    },
+    wordWrap: true,
+    wrapOnWordBoundary: false
+  });
+
+  for (const { row, target, result } of rows) {
+    const kind = result.status === 'error-mismatch' && result.sameCode
+      ? `${STATUSES[result.status]} (same code)`
+      : STATUSES[result.status];
+    const color = result.status === 'diverged' ? chalk.red : chalk.yellow;
+    table.push([
+      chalk.white(`${row.group}: ${row.name}`) + chalk.gray(`\n${truncate(row.command, 28)}`),
+      paint(target)(target.label),
+      color(kind),
+      truncate(row.expected),
+      truncate(result.actual)
+    ]);
+  }
+
+  console.log(table.toString());
+}
+
+async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      config: { type: 'string', short: 'c' },
+      target: { type: 'string', short: 't', multiple: true },
+      reference: { type: 'string', short: 'r' },
+      corpus: { type: 'string' },
+      group: { type: 'string', short: 'g', multiple: true },
+      output: { type: 'string', short: 'o' }
+    }
+  });
+  const targets = loadTargets(options);
+  const reference = options.reference ? targets.find(t => t.name === options.reference) : targets[0];
+  if (!reference) {
+    throw new Error(`--reference "${options.reference}" is not one of the targets (${targets.map(t => t.name).join(', ')})`);
+  }
+  if (targets.length < 2) {
+    throw new Error('Compatibility verification needs at least two targets');
+  }
+  // Corpus cases mix keys freely, which a cluster would reject as CROSSSLOT
+  const cluster = targets.find(t => t.cluster);
+  if (cluster) {
+    throw new Error(`Compatibility verification needs standalone servers ("${cluster.name}" is a cluster)`);
+  }
+
+  let cases = loadCorpus(options.corpus || DEFAULT_CORPUS);
+  if (options.group) {
+    cases = cases.filter(c => options.group.includes(c.group));
+    if (cases.length === 0) throw new Error(`No corpus cases in group(s) ${options.group.join(', ')}`);
+  }
+
+  printHeader(reference, cases);
+
+  const outcomes = {};
+  for (const target of targets) {
+    const label = paint(target)(target.label);
+    const spinner = ora(`${label}: Connecting to ${describeTarget(target)}...`).start();
+    const client = createClient(target);
+    try {
+      await connectClient(client);
+    } catch (error) {
+      spinner.fail(`Failed to connect to ${target.label} (${describeTarget(target)}): ${error.message}`);
+      console.log(chalk.gray('   docker compose up -d\n'));
+      process.exit(1);
+    }
+    outcomes[target.name] = await runCorpus(client, cases, (done, total) => {
+      spinner.text = `${label}: Running corpus (${done}/${total})...`;
+    });
+    await client.disconnect();
+    spinner.succeed(`${label}: Ran ${cases.length} commands`);
+  }
+
+  const report = buildReport(cases, outcomes, targets, reference);
+  printMatrix(report, targets);
+  printDivergences(report, targets);
+
+  if (options.output) {
+    fs.mkdirSync(path.dirname(path.resolve(options.output)), { recursive: true });
+    fs.writeFileSync(options.output, JSON.stringify(report, null, 2) + '\n');
+    console.log(chalk.gray(`💾 Wrote compatibility report to ${options.output}\n`));
+  }
+
+  const divergent = Object.values(report.totals).some(total => total.match < total.total);
+  if (divergent) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(chalk.red(error.message));
+  process.exitCode = 1;
+});